@@ -124,6 +124,7 @@ const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
           email: user.email,
           phone: user.phone,
           role: user.role,
+          timezone: user.timezone,
           isEmailVerified: user.isEmailVerified,
           avatar: user.avatar,
           totalConsultations: user.totalConsultations,
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { intakeAnswerSchema } = require('./ConsultationType');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/currency');
+const { getAstrologerTimezone, zonedTimeToUtc, formatInZone } = require('../utils/timezone');
 
 const appointmentSchema = new mongoose.Schema({
   user: {
@@ -14,19 +17,63 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide appointment time']
   },
+  // Canonical UTC instants, derived from appointmentDate/appointmentTime in the astrologer's time zone
+  startsAt: Date,
+  endsAt: Date,
+  // IANA time zone of the client at booking time
+  clientTimezone: String,
   consultationType: {
-    type: String,
+    type: String, // consultation type slug
     required: [true, 'Please provide consultation type']
   },
   package: {
-    type: String,
-    enum: ['basic', 'premium', 'advanced'],
+    type: String, // package slug
     required: [true, 'Please select a package']
   },
+  // Package details as priced on the server when the booking was made
+  packageSnapshot: {
+    packageId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Package'
+    },
+    slug: String,
+    name: String,
+    price: Number,
+    currency: String,
+    duration: Number
+  },
   amount: {
-    type: Number,
+    type: Number, // amount to pay, after any coupon discount
     required: [true, 'Please provide amount']
   },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY
+  },
+  // Coupon applied when the payment order was created
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discount: Number,
+    // Set once the booking is paid and the coupon counts as used
+    redeemedAt: Date
+  },
+  // Gift voucher that prepaid this booking; the purchase is recorded on the voucher
+  giftVoucher: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'GiftVoucher'
+  },
+  // Membership whose session allowance covered this booking
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription'
+  },
   duration: {
     type: Number, // in minutes
     required: [true, 'Please provide duration']
@@ -35,15 +82,49 @@ const appointmentSchema = new mongoose.Schema({
     question: String,
     answer: String
   }],
+  // Answers to the consultation type's intake questionnaire, checked at booking time
+  intakeAnswers: [intakeAnswerSchema],
+  // The client asked at booking time for the call not to be recorded
+  recordingOptOut: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'],
     default: 'pending'
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially-refunded', 'refunded'],
     default: 'pending'
+  },
+  // Share of the amount paid from the client's wallet, and the wallet debits behind it
+  walletAmount: {
+    type: Number,
+    default: 0
+  },
+  walletDebits: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'WalletTransaction'
+  }],
+  walletRefundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Refunds requested, and the part of them that has been confirmed
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundStatus: {
+    type: String,
+    enum: ['none', 'pending', 'processed', 'failed'],
+    default: 'none'
   },
    videoCall: {
     roomName: String,
@@ -52,12 +133,79 @@ const appointmentSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Window the Daily room accepts participants in
+    opensAt: Date,
+    expiresAt: Date,
+    joinLinkSentAt: Date,
     startedAt: Date,
     endedAt: Date,
-    recordingUrl: String
+    roomDeletedAt: Date,
+    // Reported by Daily webhooks; the owner is the astrologer
+    participants: [{
+      _id: false,
+      sessionId: String,
+      userName: String,
+      isOwner: Boolean,
+      joinedAt: Date,
+      leftAt: Date,
+      durationSeconds: Number
+    }],
+    // Minutes the client was in the call
+    attendedMinutes: Number,
+    // Cloud recordings of the call; download links are issued on request
+    recordings: [{
+      _id: false,
+      recordingId: String,
+      // Link saved on bookings recorded before links were issued on request
+      url: String,
+      startedAt: Date,
+      durationSeconds: Number,
+      readyAt: Date,
+      // Deleted from Daily by the retention job after this
+      deleteAfter: Date,
+      deletedAt: Date
+    }]
+  },
+  // Set on every appointment booked as part of a recurring series
+  series: {
+    id: String,
+    index: Number, // 1-based position in the series
+    total: Number,
+    rule: {
+      frequency: {
+        type: String,
+        enum: ['weekly', 'monthly']
+      },
+      interval: Number,
+      count: Number
+    }
+  },
+  rescheduleCount: {
+    type: Number,
+    default: 0
   },
+  rescheduleHistory: [{
+    appointmentDate: Date,
+    appointmentTime: String,
+    startsAt: Date,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  }],
   paymentId: String,
   orderId: String,
+  paidAt: Date,
+  // Payment ledger entries for this booking, oldest first
+  payments: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment'
+  }],
   videoRoomUrl: String,
   videoRoomName: String,
   notes: String,
@@ -68,7 +216,77 @@ const appointmentSchema = new mongoose.Schema({
   },
   review: String
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
+appointmentSchema.index({ startsAt: 1 });
+appointmentSchema.index({ user: 1, startsAt: -1 });
+appointmentSchema.index({ 'series.id': 1, 'series.index': 1 });
+appointmentSchema.index({ 'videoCall.recordings.deleteAfter': 1 });
+
+// Virtual with the start time as both the astrologer and the client see it
+appointmentSchema.virtual('schedule').get(function() {
+  if (!this.startsAt) return null;
+  const astrologerTimezone = getAstrologerTimezone();
+  return {
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    astrologer: formatInZone(this.startsAt, astrologerTimezone),
+    client: formatInZone(this.startsAt, this.clientTimezone || astrologerTimezone)
+  };
+});
+
+// Derive startsAt/endsAt from the booked date, time and duration
+appointmentSchema.methods.syncInstants = function() {
+  if (!this.appointmentDate || !this.appointmentTime) return;
+
+  const date = new Date(this.appointmentDate).toISOString().slice(0, 10);
+  this.startsAt = zonedTimeToUtc(date, this.appointmentTime);
+  this.endsAt = new Date(this.startsAt.getTime() + (this.duration || 0) * 60 * 1000);
+};
+
+// Keep startsAt/endsAt in sync whenever the schedule changes
+appointmentSchema.pre('validate', function(next) {
+  const scheduleChanged = this.isModified('appointmentDate') ||
+    this.isModified('appointmentTime') ||
+    this.isModified('duration');
+
+  if (scheduleChanged || !this.startsAt) {
+    this.syncInstants();
+  }
+
+  next();
+});
+
+// Fill in startsAt/endsAt on bookings made before they were stored, so the
+// queries that only look at the instants see them. Safe to run repeatedly.
+appointmentSchema.statics.backfillInstants = async function() {
+  const cursor = this.find({ startsAt: null, appointmentDate: { $ne: null }, appointmentTime: { $ne: null } })
+    .select('appointmentDate appointmentTime duration')
+    .cursor();
+
+  let updated = 0;
+  let skipped = 0;
+  for await (const appointment of cursor) {
+    try {
+      appointment.syncInstants();
+    } catch (error) {
+      // A time not in HH:MM form
+      appointment.startsAt = null;
+    }
+    if (!appointment.startsAt || Number.isNaN(appointment.startsAt.getTime())) {
+      skipped += 1;
+      continue;
+    }
+    await this.updateOne(
+      { _id: appointment._id, startsAt: null },
+      { startsAt: appointment.startsAt, endsAt: appointment.endsAt }
+    );
+    updated += 1;
+  }
+  return { updated, skipped };
+};
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rules the slot generator applies on top of each other:
+//   weekly   - recurring working hours for a day of the week
+//   override - replaces the working hours of one specific date
+//   holiday  - closes every date from startDate to endDate (inclusive)
+//   break    - removes a time range from a weekday or a specific date
+const availabilitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['weekly', 'override', 'holiday', 'break'],
+    required: [true, 'Please provide availability type']
+  },
+  dayOfWeek: {
+    type: Number, // 0 = Sunday
+    min: [0, 'Day of week must be between 0 and 6'],
+    max: [6, 'Day of week must be between 0 and 6']
+  },
+  date: {
+    type: String,
+    match: [DATE_PATTERN, 'Date format should be YYYY-MM-DD']
+  },
+  startDate: {
+    type: String,
+    match: [DATE_PATTERN, 'Start date format should be YYYY-MM-DD']
+  },
+  endDate: {
+    type: String,
+    match: [DATE_PATTERN, 'End date format should be YYYY-MM-DD']
+  },
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Start time format should be HH:MM']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'End time format should be HH:MM']
+  },
+  note: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+availabilitySchema.index({ type: 1, dayOfWeek: 1 });
+availabilitySchema.index({ type: 1, date: 1 });
+availabilitySchema.index({ type: 1, startDate: 1, endDate: 1 });
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Check the fields each rule type depends on
+availabilitySchema.pre('validate', function(next) {
+  const needsTimes = ['weekly', 'override', 'break'].includes(this.type);
+
+  if (this.type === 'weekly' && this.dayOfWeek === undefined) {
+    this.invalidate('dayOfWeek', 'Weekly hours need a day of week');
+  }
+
+  if (this.type === 'override' && !this.date) {
+    this.invalidate('date', 'Date overrides need a date');
+  }
+
+  if (this.type === 'break' && this.dayOfWeek === undefined && !this.date) {
+    this.invalidate('date', 'Breaks need a day of week or a date');
+  }
+
+  if (this.type === 'holiday') {
+    if (!this.startDate) {
+      this.invalidate('startDate', 'Holidays need a start date');
+    } else if (!this.endDate) {
+      this.endDate = this.startDate;
+    } else if (this.endDate < this.startDate) {
+      this.invalidate('endDate', 'End date must not be before start date');
+    }
+  }
+
+  if (needsTimes) {
+    if (!this.startTime || !this.endTime) {
+      this.invalidate('startTime', 'Start and end time are required');
+    } else if (TIME_PATTERN.test(this.startTime) && TIME_PATTERN.test(this.endTime) &&
+      toMinutes(this.startTime) >= toMinutes(this.endTime)) {
+      this.invalidate('endTime', 'End time must be after start time');
+    }
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Availability', availabilitySchema);
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'time', 'select', 'multiselect', 'boolean'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MAX_TEXT_LENGTH = 2000;
+
+// One field of a consultation type's intake questionnaire
+const questionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Question key is required'],
+    match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Question key can only contain letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Question label is required']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for select and multiselect fields
+  options: [String],
+  helpText: String
+}, { _id: false });
+
+// A validated answer as stored on appointments and waitlist entries. The label
+// is copied so the answer still reads correctly if the questionnaire changes.
+const intakeAnswerSchema = new mongoose.Schema({
+  key: String,
+  label: String,
+  type: String,
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const consultationTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Consultation type name is required'],
+    trim: true,
+    maxlength: [100, 'Consultation type name cannot exceed 100 characters']
+  },
+  // Identifier stored on appointments, e.g. "kundli-matching"
+  slug: {
+    type: String,
+    required: [true, 'Consultation type slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers and hyphens']
+  },
+  description: String,
+  questionnaire: [questionSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+consultationTypeSchema.pre('validate', function(next) {
+  const keys = new Set();
+
+  this.questionnaire.forEach((question, index) => {
+    if (keys.has(question.key)) {
+      this.invalidate(`questionnaire.${index}.key`, `Duplicate question key "${question.key}"`);
+    }
+    keys.add(question.key);
+
+    if (['select', 'multiselect'].includes(question.type) && question.options.length === 0) {
+      this.invalidate(`questionnaire.${index}.options`, `Question "${question.key}" needs at least one option`);
+    }
+  });
+
+  next();
+});
+
+// Find an active consultation type by slug or display name
+consultationTypeSchema.statics.resolve = async function(identifier) {
+  const key = String(identifier || '').trim();
+  if (!key) return null;
+
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({
+    isActive: true,
+    $or: [
+      { slug: key.toLowerCase() },
+      { name: new RegExp(`^${escaped}$`, 'i') }
+    ]
+  });
+};
+
+// Check a client's answers (an object keyed by question key) against the
+// questionnaire. Returns the validation errors and, when there are none, the
+// answers in structured form, converted to each field's type.
+consultationTypeSchema.methods.validateAnswers = function(answers = {}) {
+  const errors = [];
+  const structured = [];
+
+  if (typeof answers !== 'object' || Array.isArray(answers) || answers === null) {
+    return { errors: [{ field: 'answers', message: 'Answers must be an object keyed by question' }], answers: [] };
+  }
+
+  this.questionnaire.forEach(question => {
+    const raw = answers[question.key];
+    const isEmpty = raw === undefined || raw === null || raw === '' ||
+      (Array.isArray(raw) && raw.length === 0);
+
+    if (isEmpty) {
+      if (question.required) {
+        errors.push({ field: question.key, message: `${question.label} is required` });
+      }
+      return;
+    }
+
+    let value = raw;
+    let message = null;
+
+    switch (question.type) {
+      case 'number':
+        value = Number(raw);
+        if (typeof raw === 'boolean' || isNaN(value)) message = `${question.label} must be a number`;
+        break;
+      case 'date':
+        if (!DATE_PATTERN.test(raw) || isNaN(new Date(raw).getTime())) message = `${question.label} must be a date (YYYY-MM-DD)`;
+        break;
+      case 'time':
+        if (!TIME_PATTERN.test(raw)) message = `${question.label} must be a time (HH:MM)`;
+        break;
+      case 'boolean':
+        if (raw === 'true' || raw === 'false') value = raw === 'true';
+        if (typeof value !== 'boolean') message = `${question.label} must be true or false`;
+        break;
+      case 'select':
+        if (!question.options.includes(raw)) message = `${question.label} must be one of: ${question.options.join(', ')}`;
+        break;
+      case 'multiselect':
+        if (!Array.isArray(raw) || !raw.every(option => question.options.includes(option))) {
+          message = `${question.label} must be a list of: ${question.options.join(', ')}`;
+        }
+        break;
+      default:
+        if (typeof raw !== 'string') {
+          message = `${question.label} must be text`;
+        } else if (raw.length > MAX_TEXT_LENGTH) {
+          message = `${question.label} cannot exceed ${MAX_TEXT_LENGTH} characters`;
+        } else {
+          value = raw.trim();
+        }
+    }
+
+    if (message) {
+      errors.push({ field: question.key, message });
+    } else {
+      structured.push({ key: question.key, label: question.label, type: question.type, value });
+    }
+  });
+
+  return { errors, answers: errors.length ? [] : structured };
+};
+
+// Fill an empty catalog with the consultation types clients booked before there
+// was one, without questionnaires, so bookings keep working on a deployment
+// that predates the catalog. Returns the number created.
+consultationTypeSchema.statics.seedFromBookings = async function() {
+  if (await this.exists({})) return 0;
+
+  const names = await mongoose.model('Appointment').distinct('consultationType');
+  let created = 0;
+  for (const name of names) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!slug) continue;
+
+    // Upserted by slug, so two instances starting together create it once
+    const result = await this.updateOne(
+      { slug },
+      { $setOnInsert: { slug, name: String(name).trim().slice(0, 100) } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+  return created;
+};
+
+const ConsultationType = mongoose.model('ConsultationType', consultationTypeSchema);
+ConsultationType.intakeAnswerSchema = intakeAnswerSchema;
+
+module.exports = ConsultationType;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers taken but never used, kept so a gap in the sequence is accounted for
+  voided: [String]
+});
+
+// Atomically take the next number in a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Record a number that was taken but will never be used
+counterSchema.statics.void = function(name, number) {
+  return this.updateOne({ _id: name }, { $push: { voided: number } });
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
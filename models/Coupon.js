@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/currency');
+
+const couponSchema = new mongoose.Schema({
+  // What clients type at checkout, e.g. "DIWALI25"
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]+$/, 'Coupon code can only contain letters, numbers, hyphens and underscores']
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount cannot be negative']
+  },
+  // Upper limit for percentage discounts
+  maxDiscount: Number,
+  // Currency of the flat discount, maximum discount and minimum amount;
+  // flat coupons only apply to bookings priced in it
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Redemptions across all clients; empty means unlimited
+  usageLimit: Number,
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Smallest package price the coupon can be used on
+  minAmount: {
+    type: Number,
+    default: 0
+  },
+  // Package slugs the coupon applies to; empty allows all
+  packages: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'Coupon must not expire before it starts');
+  }
+  next();
+});
+
+// Discount in the coupon's currency on the given amount, never more than the amount itself
+couponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? amount * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/currency');
+
+// A consultation bought by one client for someone else. The recipient gets the
+// code by email and uses it to book the package without paying again.
+const giftVoucherSchema = new mongoose.Schema({
+  // e.g. "GIFT-7KQ2-MX9D"; assigned once the purchase is paid
+  code: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  purchaser: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientName: {
+    type: String,
+    required: [true, 'Recipient name is required'],
+    trim: true,
+    maxlength: [100, 'Recipient name cannot be more than 100 characters']
+  },
+  recipientEmail: {
+    type: String,
+    required: [true, 'Recipient email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid recipient email']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Gift message cannot be more than 500 characters']
+  },
+  // The package the recipient can book, priced as it was when bought
+  package: {
+    type: String,
+    required: true
+  },
+  packageSnapshot: {
+    packageId: mongoose.Schema.ObjectId,
+    slug: String,
+    name: String,
+    price: Number,
+    currency: String,
+    duration: Number
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'redeemed'],
+    default: 'pending'
+  },
+  // Razorpay IDs of the purchase
+  orderId: String,
+  paymentId: String,
+  paidAt: Date,
+  expiresAt: Date,
+  redeemedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  redeemedAt: Date,
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+giftVoucherSchema.index({ purchaser: 1, createdAt: -1 });
+giftVoucherSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('GiftVoucher', giftVoucherSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Tax invoice for a paid appointment, gift voucher or membership charge. The
+// seller and buyer details are copied in at issue time so the invoice never
+// changes afterwards.
+const invoiceSchema = new mongoose.Schema({
+  // e.g. "INV/2025-26/00001"; assigned once the invoice is claimed for its sale
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Set while one call is taking the invoice number, so a concurrent call for
+  // the same sale does not take a second one
+  numberingAt: Date,
+  // What was sold; each sale has one invoice
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment',
+    unique: true,
+    sparse: true
+  },
+  giftVoucher: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'GiftVoucher',
+    unique: true,
+    sparse: true
+  },
+  // Memberships get one invoice per charge, told apart by paymentId
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription'
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  paymentId: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: {
+    name: String,
+    gstin: String,
+    address: String,
+    state: String,
+    stateCode: String
+  },
+  buyer: {
+    name: String,
+    email: String,
+    phone: String,
+    address: String,
+    state: String,
+    stateCode: String,
+    country: String,
+    gstin: String
+  },
+  placeOfSupply: String,
+  items: [{
+    description: String,
+    sacCode: String,
+    quantity: Number,
+    taxableValue: Number
+  }],
+  // Amounts in the invoice currency; the total is the price paid, GST included
+  taxableAmount: Number,
+  gstRate: Number,
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  totalTax: Number,
+  total: Number,
+  // Supply to a client outside India, zero-rated under GST
+  isExport: {
+    type: Boolean,
+    default: false
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  amountInWords: String
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index(
+  { subscription: 1, paymentId: 1 },
+  { unique: true, partialFilterExpression: { subscription: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Background work that has to survive restarts, run by the job queue sweeper
+const jobSchema = new mongoose.Schema({
+  // Handler that runs the job, e.g. "delete-room"
+  name: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Earliest time the job may run; moved back after each failed attempt
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Set while a worker runs the job, so a crashed worker's job can be taken over
+  lockedAt: Date,
+  lastError: String,
+  finishedAt: Date,
+  // Stops the same job being queued twice, e.g. "delete-room:consultation-123"
+  uniqueKey: String
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+// Completed and failed jobs are kept for a week for troubleshooting
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
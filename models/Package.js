@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/currency');
+
+const packageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Package name is required'],
+    trim: true,
+    maxlength: [100, 'Package name cannot exceed 100 characters']
+  },
+  // Short identifier stored on appointments, e.g. "premium"
+  slug: {
+    type: String,
+    required: [true, 'Package slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers and hyphens']
+  },
+  description: String,
+  price: {
+    type: Number,
+    required: [true, 'Package price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY,
+    uppercase: true
+  },
+  // Prices for clients paying in other currencies
+  prices: [{
+    _id: false,
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      uppercase: true,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Price cannot be negative']
+    }
+  }],
+  duration: {
+    type: Number, // in minutes
+    required: [true, 'Package duration is required'],
+    min: [1, 'Duration must be at least 1 minute']
+  },
+  // Consultation types this package can be booked for; empty allows all
+  consultationTypes: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+packageSchema.index({ isActive: 1, price: 1 });
+
+// Find an active package from what the client sent: an ID, a slug, a display
+// name, or an object carrying any of those
+packageSchema.statics.resolve = async function(identifier) {
+  if (!identifier) return null;
+
+  const info = typeof identifier === 'object' ? identifier : { name: identifier };
+  const id = info.id || info._id;
+
+  if (id && mongoose.isValidObjectId(id)) {
+    return this.findOne({ _id: id, isActive: true });
+  }
+
+  const key = String(info.slug || info.name || '').trim();
+  if (!key) return null;
+
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({
+    isActive: true,
+    $or: [
+      { slug: key.toLowerCase() },
+      { name: new RegExp(`^${escaped}$`, 'i') }
+    ]
+  });
+};
+
+packageSchema.methods.allowsConsultationType = function(consultationType) {
+  return this.consultationTypes.length === 0 || this.consultationTypes.includes(consultationType);
+};
+
+// Price in the given currency, falling back to the main price when the
+// package has no price for it
+packageSchema.methods.getPrice = function(currency) {
+  if (!currency || currency === this.currency) {
+    return { amount: this.price, currency: this.currency };
+  }
+
+  const price = this.prices.find(entry => entry.currency === currency);
+  return price
+    ? { amount: price.amount, currency: price.currency }
+    : { amount: this.price, currency: this.currency };
+};
+
+// The package as it was at booking time, stored on the appointment
+packageSchema.methods.toSnapshot = function(currency) {
+  const price = this.getPrice(currency);
+
+  return {
+    packageId: this._id,
+    slug: this.slug,
+    name: this.name,
+    price: price.amount,
+    currency: price.currency,
+    duration: this.duration
+  };
+};
+
+// The packages the booking page offered before there was a catalog
+const LEGACY_PACKAGES = [
+  { slug: 'basic', name: 'Basic Consultation' },
+  { slug: 'premium', name: 'Premium Consultation' },
+  { slug: 'advanced', name: 'Advanced Consultation' }
+];
+
+// Fill an empty catalog with the legacy packages, priced as they were last
+// booked, so bookings keep working on a deployment that predates the catalog.
+// A package never booked has no known price and is left for an admin to add.
+// Returns the slugs created and skipped.
+packageSchema.statics.seedFromBookings = async function() {
+  if (await this.exists({})) return { created: [], skipped: [] };
+
+  const Appointment = mongoose.model('Appointment');
+  const created = [];
+  const skipped = [];
+  for (const legacy of LEGACY_PACKAGES) {
+    const booking = await Appointment.findOne({ package: legacy.slug, amount: { $gt: 0 }, 'coupon.code': null })
+      .sort({ createdAt: -1 })
+      .select('amount currency duration');
+    if (!booking) {
+      skipped.push(legacy.slug);
+      continue;
+    }
+
+    // Upserted by slug, so two instances starting together create it once
+    const result = await this.updateOne(
+      { slug: legacy.slug },
+      {
+        $setOnInsert: {
+          ...legacy,
+          price: booking.amount,
+          currency: booking.currency || DEFAULT_CURRENCY,
+          duration: booking.duration
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount) created.push(legacy.slug);
+  }
+  return { created, skipped };
+};
+
+module.exports = mongoose.model('Package', packageSchema);
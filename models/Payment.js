@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One entry in the payment ledger: an order, a payment attempt, a capture, a
+// failure or a refund, as reported by the checkout or the gateway. Entries are
+// only ever added, so an appointment's payment history can be rebuilt from them.
+const paymentSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['order', 'attempt', 'capture', 'failure', 'refund'],
+    required: true
+  },
+  // "wallet" for the share paid from or refunded to the client's wallet
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'wallet'],
+    default: 'razorpay'
+  },
+  // Gateway IDs
+  orderId: String,
+  paymentId: String,
+  refundId: String,
+  amount: {
+    type: Number, // in the currency's main unit, e.g. rupees
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true
+  },
+  // Status reported by the gateway, e.g. "captured" or "processed"
+  status: String,
+  source: {
+    type: String,
+    enum: ['checkout', 'webhook', 'cancellation', 'admin'],
+    required: true
+  },
+  // Identifies the gateway event this entry records, e.g. "capture:pay_123",
+  // so the checkout and the webhook reporting the same event add it only once
+  reference: String,
+  // Set when an entry needs an admin to look into it, e.g. "amount-mismatch"
+  flag: String,
+  // Raw gateway response or webhook entity
+  payload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ appointment: 1, createdAt: 1 });
+paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ paymentId: 1 });
+paymentSchema.index({ reference: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ flag: 1, createdAt: -1 }, { sparse: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
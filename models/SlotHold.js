@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One document per booked slot. The unique index on slotKey is what makes
+// reservations atomic: when two requests race for the same slot, MongoDB
+// accepts exactly one insert and rejects the other with a duplicate key error.
+const slotHoldSchema = new mongoose.Schema({
+  slotKey: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  time: {
+    type: String, // HH:MM
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  },
+  // Temporary hold for a slot offered to a waitlisted client
+  waitlistEntry: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Waitlist'
+  },
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+slotHoldSchema.index({ slotKey: 1 }, { unique: true });
+slotHoldSchema.index({ appointment: 1 });
+slotHoldSchema.index({ waitlistEntry: 1 });
+slotHoldSchema.index({ date: 1, expiresAt: 1 });
+
+slotHoldSchema.pre('validate', function(next) {
+  if (!this.appointment && !this.waitlistEntry) {
+    this.invalidate('appointment', 'A slot hold needs an appointment or a waitlist entry');
+  }
+  next();
+});
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
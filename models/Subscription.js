@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A client's membership of a plan, kept in step with the Razorpay subscription
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'SubscriptionPlan',
+    required: true
+  },
+  // The plan's terms when the client subscribed
+  planSnapshot: {
+    slug: String,
+    name: String,
+    price: Number,
+    currency: String,
+    billingPeriod: String,
+    billingInterval: Number,
+    sessionsPerCycle: Number,
+    packages: [String]
+  },
+  razorpaySubscriptionId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Razorpay's subscription states
+  status: {
+    type: String,
+    enum: ['created', 'authenticated', 'active', 'pending', 'halted', 'cancelled', 'completed', 'expired'],
+    default: 'created'
+  },
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  // Sessions of the current cycle
+  allowance: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    used: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Payments that started a cycle, so a charge is only counted once
+  charges: [{
+    _id: false,
+    paymentId: String,
+    amount: Number,
+    periodStart: Date,
+    periodEnd: Date,
+    chargedAt: Date
+  }],
+  cancelAtCycleEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, status: 1 });
+
+// Sessions left in the current cycle
+subscriptionSchema.virtual('remainingSessions').get(function() {
+  return Math.max(0, this.allowance.total - this.allowance.used);
+});
+
+subscriptionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/currency');
+
+// A membership clients pay for every billing cycle, e.g. "Monthly Guidance"
+// with two basic consultations a month
+const subscriptionPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: [true, 'Plan slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers and hyphens']
+  },
+  description: String,
+  // Charged every cycle
+  price: {
+    type: Number,
+    required: [true, 'Plan price is required'],
+    min: [1, 'Plan price must be at least 1']
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY
+  },
+  billingPeriod: {
+    type: String,
+    enum: ['weekly', 'monthly', 'yearly'],
+    default: 'monthly'
+  },
+  // Number of periods in one cycle, e.g. 3 monthly periods for a quarterly plan
+  billingInterval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Billing interval must be at least 1']
+  },
+  // Cycles billed before the subscription completes
+  totalCycles: {
+    type: Number,
+    default: 12,
+    min: [1, 'A plan must run for at least one cycle']
+  },
+  // Consultations included in each cycle
+  sessionsPerCycle: {
+    type: Number,
+    required: [true, 'Sessions per cycle is required'],
+    min: [1, 'A plan must include at least one session per cycle']
+  },
+  // Package slugs the allowance can be used for; empty allows all
+  packages: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Razorpay plan, created on the first subscription. Razorpay plans cannot
+  // change, so this is cleared whenever the price or cycle does.
+  razorpayPlanId: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionPlanSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified(['price', 'currency', 'billingPeriod', 'billingInterval'])) {
+    this.razorpayPlanId = undefined;
+  }
+  next();
+});
+
+module.exports = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
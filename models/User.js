@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { getAstrologerTimezone, isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -62,11 +63,36 @@ const userSchema = new mongoose.Schema({
       default: 'India'
     }
   },
+  // Used on tax invoices; the place of birth stands in when it is not given
+  billingAddress: {
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String,
+    gstin: {
+      type: String,
+      uppercase: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid GSTIN']
+    }
+  },
   gender: {
     type: String,
     enum: ['male', 'female', 'other'],
     required: [true, 'Gender is required']
   },
+  // Prepaid balance in rupees; the WalletTransaction ledger is the source of truth
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+  timezone: {
+    type: String,
+    default: getAstrologerTimezone,
+    validate: [isValidTimeZone, 'Please provide a valid IANA time zone']
+  },
   
   // User Role
   role: {
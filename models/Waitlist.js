@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { intakeAnswerSchema } = require('./ConsultationType');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const waitlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromDate: {
+    type: String,
+    required: [true, 'Please provide the first date you can attend'],
+    match: [DATE_PATTERN, 'Date format should be YYYY-MM-DD']
+  },
+  toDate: {
+    type: String,
+    required: [true, 'Please provide the last date you can attend'],
+    match: [DATE_PATTERN, 'Date format should be YYYY-MM-DD']
+  },
+  // Empty means any time of day works
+  preferredTimes: [{
+    type: String,
+    match: [TIME_PATTERN, 'Time format should be HH:MM']
+  }],
+  consultationType: {
+    type: String, // consultation type slug
+    required: [true, 'Please provide consultation type']
+  },
+  // Intake answers carried over to the appointment when an offer is claimed
+  intakeAnswers: [intakeAnswerSchema],
+  package: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Package',
+    required: [true, 'Please select a package']
+  },
+  duration: {
+    type: Number, // in minutes
+    required: [true, 'Please provide duration']
+  },
+  timezone: String,
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  // The slot currently offered to this client
+  offer: {
+    date: String,
+    time: String,
+    startsAt: Date,
+    tokenHash: String,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  // Slots this client let expire, so they are not offered the same one again
+  missedSlots: [String],
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistSchema.index({ status: 1, fromDate: 1, toDate: 1, createdAt: 1 });
+waitlistSchema.index({ 'offer.tokenHash': 1 });
+waitlistSchema.index({ user: 1, status: 1 });
+
+waitlistSchema.pre('validate', function(next) {
+  if (this.fromDate && this.toDate && this.toDate < this.fromDate) {
+    this.invalidate('toDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
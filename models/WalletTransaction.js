@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One movement of a client's wallet balance. Entries are only ever added;
+// the balance cached on the user is the sum of them.
+const walletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['topup', 'debit', 'refund', 'reversal', 'adjustment'],
+    required: true
+  },
+  // Positive for credits, negative for debits, in rupees
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: Number,
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  },
+  // Razorpay IDs of a top-up
+  orderId: String,
+  paymentId: String,
+  // Identifies what caused the entry, e.g. "topup:pay_123", so it is applied once
+  reference: String,
+  note: String,
+  // Admin who made an adjustment
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ reference: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
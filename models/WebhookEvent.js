@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A webhook delivery, stored by the provider's event ID so that retried
+// deliveries are only applied once
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: ['razorpay', 'daily']
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  error: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // When the current attempt started; a delivery stuck in processing past the
+  // lock timeout is taken back by the next one
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// How long an attempt may stay in processing before it is taken to have died
+// (a crash, timeout or killed function) and the event is processed again
+const LOCK_TIMEOUT_MS = (parseInt(process.env.WEBHOOK_LOCK_MINUTES, 10) || 5) * 60 * 1000;
+
+// Claim an event for processing. Returns 'claimed' when the caller should
+// apply it, 'processed' when it was already applied, or 'busy' while another
+// delivery is still applying it (the caller should answer with an error so
+// the provider retries later).
+webhookEventSchema.statics.claim = async function(provider, eventId, event, payload) {
+  try {
+    await this.create({ provider, eventId, event, payload });
+    return 'claimed';
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before: a delivery whose processing failed or stalled is tried again
+  const now = new Date();
+  const retry = await this.findOneAndUpdate(
+    {
+      provider,
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+        // Stored before attempts were timed
+        { status: 'processing', lockedAt: null }
+      ]
+    },
+    { status: 'processing', lockedAt: now, $inc: { attempts: 1 }, $unset: { error: 1 } }
+  );
+  if (retry) return 'claimed';
+
+  const existing = await this.findOne({ provider, eventId }).select('status');
+  return existing?.status === 'processed' ? 'processed' : 'busy';
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -2,7 +2,19 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const Package = require('../models/Package');
+const Payment = require('../models/Payment');
+const Coupon = require('../models/Coupon');
+const ConsultationType = require('../models/ConsultationType');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const Subscription = require('../models/Subscription');
 const { auth, adminOnly } = require('../middleware/auth');
+const schedulingService = require('../services/schedulingService');
+const waitlistService = require('../services/waitlistService');
+const paymentService = require('../services/paymentService');
+const walletService = require('../services/walletService');
+const reportService = require('../services/reportService');
 
 // Apply auth middleware to all routes
 router.use(auth);
@@ -39,7 +51,8 @@ router.get('/dashboard-stats', async (req, res) => {
             paymentStatus: 'completed'
           }
         },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        // Bookings from before multi-currency pricing have no currency and were in rupees
+        { $group: { _id: { $ifNull: ['$currency', 'INR'] }, total: { $sum: '$amount' } } }
       ]),
       Appointment.countDocuments({ status: 'completed' })
     ]);
@@ -53,7 +66,8 @@ router.get('/dashboard-stats', async (req, res) => {
           totalAppointments: totalAppointments || 0,
           todaysAppointments: todaysAppointments || 0,
           pendingAppointments: pendingAppointments || 0,
-          monthlyRevenue: monthlyRevenue[0]?.total || 0,
+          monthlyRevenue: monthlyRevenue.find(group => group._id === 'INR')?.total || 0,
+          revenueByCurrency: Object.fromEntries(monthlyRevenue.map(group => [group._id, group.total])),
           completedAppointments: completedAppointments || 0
         }
       }
@@ -69,6 +83,62 @@ router.get('/dashboard-stats', async (req, res) => {
   }
 });
 
+// @desc    Financial report: revenue by period, package, consultation type and
+//          payment status, with refunds, coupon discounts and tax collected
+// @route   GET /api/admin/reports?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|xlsx
+// @access  Private (Admin only)
+router.get('/reports', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv or xlsx'
+      });
+    }
+
+    const report = await reportService.buildReport({ from: req.query.from, to: req.query.to });
+    const filename = `financial-report-${report.range.from}-to-${report.range.to}`;
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.send(reportService.toCsv(report));
+    }
+
+    if (format === 'xlsx') {
+      const workbook = await reportService.toXlsx(report);
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${filename}.xlsx"`,
+        'Content-Length': workbook.length
+      });
+      return res.send(workbook);
+    }
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Financial report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building financial report'
+    });
+  }
+});
+
 // @desc    Get all appointments for admin
 // @route   GET /api/admin/appointments
 // @access  Private (Admin only)
@@ -142,14 +212,49 @@ router.put('/appointments/:id/status', async (req, res) => {
       });
     }
 
+    const wasCancelled = appointment.status === 'cancelled';
+
+    // Reinstating a cancelled booking has to win its slots back
+    if (wasCancelled && ['pending', 'confirmed'].includes(status)) {
+      try {
+        await schedulingService.reserveSlots(appointment);
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          data: { alternatives: error.alternatives }
+        });
+      }
+    }
+
     appointment.status = status;
     
-    if (status === 'confirmed' && appointment.paymentStatus === 'pending') {
+    // Confirming an unpaid booking records it as paid, e.g. by bank transfer
+    const markedPaid = status === 'confirmed' && appointment.paymentStatus === 'pending';
+    if (markedPaid) {
       appointment.paymentStatus = 'completed';
+      appointment.paidAt = new Date();
+    }
+
+    if (status === 'cancelled' && !wasCancelled && ['pending', 'failed'].includes(appointment.paymentStatus)) {
+      await paymentService.releaseWallet(appointment);
     }
     
     await appointment.save();
 
+    if (status === 'cancelled' && !wasCancelled) {
+      await schedulingService.releaseSlots(appointment._id);
+      await waitlistService.handleCancellation(appointment, req.app.get('io'));
+      // Whatever the notice, the client keeps the voucher or session when the astrologer cancels
+      await paymentService.releasePrepaidBooking(appointment);
+    }
+
+    // The same follow-up as a gateway payment: coupon, invoice and video room
+    if (markedPaid) {
+      await paymentService.afterCapture(appointment);
+    }
+
     res.json({
       success: true,
       message: `Appointment ${status} successfully`,
@@ -165,4 +270,848 @@ router.put('/appointments/:id/status', async (req, res) => {
   }
 });
 
+// @desc    Get the payment ledger of an appointment
+// @route   GET /api/admin/appointments/:id/payments
+// @access  Private (Admin only)
+router.get('/appointments/:id/payments', async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .select('amount paymentStatus orderId paymentId paidAt packageSnapshot');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const payments = await Payment.find({ appointment: appointment._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: payments.length,
+      data: { appointment, payments }
+    });
+
+  } catch (error) {
+    console.error('❌ Get appointment payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payments'
+    });
+  }
+});
+
+// @desc    Get ledger entries flagged for review, e.g. captures whose amount did not match
+// @route   GET /api/admin/payments/flagged
+// @access  Private (Admin only)
+router.get('/payments/flagged', async (req, res) => {
+  try {
+    const payments = await Payment.find({ flag: { $ne: null } })
+      .populate('user', 'firstName lastName email')
+      .populate('appointment', 'appointmentDate appointmentTime amount currency status paymentStatus')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: payments.length,
+      data: { payments }
+    });
+
+  } catch (error) {
+    console.error('❌ Get flagged payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching flagged payments'
+    });
+  }
+});
+
+// @desc    Refund an appointment's payment in full or in part, outside the cancellation policy
+// @route   POST /api/admin/appointments/:id/refund
+// @access  Private (Admin only)
+router.post('/appointments/:id/refund', async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    // Without an amount, whatever is left of the payment is refunded
+    const refundAmount = amount === undefined
+      ? paymentService.getRefundableAmount(appointment)
+      : Number(amount);
+
+    const refund = await paymentService.refundPayment(appointment, refundAmount, {
+      reason: reason || 'Refund by admin',
+      source: 'admin'
+    });
+
+    res.json({
+      success: true,
+      message: refund.status === 'processed' ? 'Refund processed' : 'Refund requested',
+      data: { appointment, refund }
+    });
+
+  } catch (error) {
+    console.error('❌ Refund appointment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error refunding appointment'
+    });
+  }
+});
+
+// @desc    Credit or debit a client's wallet by hand
+// @route   POST /api/admin/users/:id/wallet-adjustments
+// @access  Private (Admin only)
+router.post('/users/:id/wallet-adjustments', async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const { note } = req.body;
+
+    if (!amount || !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-zero amount and a note are required'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const details = { type: 'adjustment', note, createdBy: req.user.id };
+    const transaction = amount > 0
+      ? await walletService.credit(user._id, amount, details)
+      : await walletService.debit(user._id, -amount, details);
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted successfully',
+      data: { transaction, balance: transaction.balanceAfter }
+    });
+
+  } catch (error) {
+    console.error('❌ Wallet adjustment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error adjusting wallet'
+    });
+  }
+});
+
+// Copy only the allowed fields from a request body
+const pickFields = (body, allowed) => {
+  const fields = {};
+  allowed.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Fields admins may set on an availability rule
+const AVAILABILITY_FIELDS = [
+  'type', 'dayOfWeek', 'date', 'startDate', 'endDate',
+  'startTime', 'endTime', 'note', 'isActive'
+];
+
+const sendValidationError = (res, error) => {
+  const errors = Object.keys(error.errors).map(key => ({
+    field: key,
+    message: error.errors[key].message
+  }));
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+// @desc    Get availability rules
+// @route   GET /api/admin/availability
+// @access  Private (Admin only)
+router.get('/availability', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type && req.query.type !== 'all') {
+      query.type = req.query.type;
+    }
+
+    const rules = await Availability.find(query)
+      .sort({ type: 1, dayOfWeek: 1, date: 1, startDate: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: { availability: rules }
+    });
+
+  } catch (error) {
+    console.error('❌ Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability'
+    });
+  }
+});
+
+// @desc    Create availability rule (weekly hours, date override, holiday or break)
+// @route   POST /api/admin/availability
+// @access  Private (Admin only)
+router.post('/availability', async (req, res) => {
+  try {
+    const rule = await Availability.create(pickFields(req.body, AVAILABILITY_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Availability rule created successfully',
+      data: { availability: rule }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('❌ Create availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating availability rule'
+    });
+  }
+});
+
+// @desc    Update availability rule
+// @route   PUT /api/admin/availability/:id
+// @access  Private (Admin only)
+router.put('/availability/:id', async (req, res) => {
+  try {
+    const rule = await Availability.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability rule not found'
+      });
+    }
+
+    rule.set(pickFields(req.body, AVAILABILITY_FIELDS));
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Availability rule updated successfully',
+      data: { availability: rule }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('❌ Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating availability rule'
+    });
+  }
+});
+
+// @desc    Delete availability rule
+// @route   DELETE /api/admin/availability/:id
+// @access  Private (Admin only)
+router.delete('/availability/:id', async (req, res) => {
+  try {
+    const rule = await Availability.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Availability rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting availability rule'
+    });
+  }
+});
+
+// Fields admins may set on a package
+const PACKAGE_FIELDS = [
+  'name', 'slug', 'description', 'price', 'currency', 'prices',
+  'duration', 'consultationTypes', 'isActive'
+];
+
+// @desc    Get all packages, including inactive ones
+// @route   GET /api/admin/packages
+// @access  Private (Admin only)
+router.get('/packages', async (req, res) => {
+  try {
+    const packages = await Package.find({}).sort({ isActive: -1, price: 1 });
+
+    res.json({
+      success: true,
+      count: packages.length,
+      data: { packages }
+    });
+
+  } catch (error) {
+    console.error('❌ Get packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching packages'
+    });
+  }
+});
+
+// @desc    Create package
+// @route   POST /api/admin/packages
+// @access  Private (Admin only)
+router.post('/packages', async (req, res) => {
+  try {
+    const pkg = await Package.create(pickFields(req.body, PACKAGE_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Package created successfully',
+      data: { package: pkg }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A package with this slug already exists'
+      });
+    }
+
+    console.error('❌ Create package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating package'
+    });
+  }
+});
+
+// @desc    Update package. Existing bookings keep the snapshot they were made with.
+// @route   PUT /api/admin/packages/:id
+// @access  Private (Admin only)
+router.put('/packages/:id', async (req, res) => {
+  try {
+    const pkg = await Package.findById(req.params.id);
+
+    if (!pkg) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    pkg.set(pickFields(req.body, PACKAGE_FIELDS));
+    await pkg.save();
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      data: { package: pkg }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A package with this slug already exists'
+      });
+    }
+
+    console.error('❌ Update package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating package'
+    });
+  }
+});
+
+// @desc    Deactivate package (kept for the bookings that reference it)
+// @route   DELETE /api/admin/packages/:id
+// @access  Private (Admin only)
+router.delete('/packages/:id', async (req, res) => {
+  try {
+    const pkg = await Package.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+    if (!pkg) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Package deactivated successfully',
+      data: { package: pkg }
+    });
+
+  } catch (error) {
+    console.error('❌ Delete package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating package'
+    });
+  }
+});
+
+// Fields admins may set on a consultation type
+const CONSULTATION_TYPE_FIELDS = ['name', 'slug', 'description', 'questionnaire', 'isActive'];
+
+// @desc    Get all consultation types, including inactive ones
+// @route   GET /api/admin/consultation-types
+// @access  Private (Admin only)
+router.get('/consultation-types', async (req, res) => {
+  try {
+    const types = await ConsultationType.find({}).sort({ isActive: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: types.length,
+      data: { consultationTypes: types }
+    });
+
+  } catch (error) {
+    console.error('❌ Get consultation types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching consultation types'
+    });
+  }
+});
+
+// @desc    Create consultation type with its intake questionnaire
+// @route   POST /api/admin/consultation-types
+// @access  Private (Admin only)
+router.post('/consultation-types', async (req, res) => {
+  try {
+    const type = await ConsultationType.create(pickFields(req.body, CONSULTATION_TYPE_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Consultation type created successfully',
+      data: { consultationType: type }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A consultation type with this slug already exists'
+      });
+    }
+
+    console.error('❌ Create consultation type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating consultation type'
+    });
+  }
+});
+
+// @desc    Update consultation type. Existing bookings keep the answers they were made with.
+// @route   PUT /api/admin/consultation-types/:id
+// @access  Private (Admin only)
+router.put('/consultation-types/:id', async (req, res) => {
+  try {
+    const type = await ConsultationType.findById(req.params.id);
+
+    if (!type) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consultation type not found'
+      });
+    }
+
+    type.set(pickFields(req.body, CONSULTATION_TYPE_FIELDS));
+    await type.save();
+
+    res.json({
+      success: true,
+      message: 'Consultation type updated successfully',
+      data: { consultationType: type }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A consultation type with this slug already exists'
+      });
+    }
+
+    console.error('❌ Update consultation type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating consultation type'
+    });
+  }
+});
+
+// @desc    Deactivate consultation type (kept for the bookings that reference it)
+// @route   DELETE /api/admin/consultation-types/:id
+// @access  Private (Admin only)
+router.delete('/consultation-types/:id', async (req, res) => {
+  try {
+    const type = await ConsultationType.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+    if (!type) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consultation type not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Consultation type deactivated successfully',
+      data: { consultationType: type }
+    });
+
+  } catch (error) {
+    console.error('❌ Delete consultation type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating consultation type'
+    });
+  }
+});
+
+// Fields admins may set on a coupon; usedCount is only changed by redemptions
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'currency',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'minAmount',
+  'packages', 'firstBookingOnly', 'isActive'
+];
+
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons
+// @access  Private (Admin only)
+router.get('/coupons', async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ isActive: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: { coupons }
+    });
+
+  } catch (error) {
+    console.error('❌ Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons'
+    });
+  }
+});
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private (Admin only)
+router.post('/coupons', async (req, res) => {
+  try {
+    const coupon = await Coupon.create(pickFields(req.body, COUPON_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.error('❌ Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon'
+    });
+  }
+});
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (Admin only)
+router.put('/coupons/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.set(pickFields(req.body, COUPON_FIELDS));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.error('❌ Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating coupon'
+    });
+  }
+});
+
+// @desc    Deactivate coupon (kept for the bookings that used it)
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (Admin only)
+router.delete('/coupons/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deactivated successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    console.error('❌ Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating coupon'
+    });
+  }
+});
+
+// Fields admins may set on a membership plan; the Razorpay plan is managed by the server
+const SUBSCRIPTION_PLAN_FIELDS = [
+  'name', 'slug', 'description', 'price', 'currency', 'billingPeriod',
+  'billingInterval', 'totalCycles', 'sessionsPerCycle', 'packages', 'isActive'
+];
+
+// @desc    Get all membership plans
+// @route   GET /api/admin/subscription-plans
+// @access  Private (Admin only)
+router.get('/subscription-plans', async (req, res) => {
+  try {
+    const plans = await SubscriptionPlan.find({}).sort({ isActive: -1, price: 1 });
+
+    res.json({
+      success: true,
+      count: plans.length,
+      data: { plans }
+    });
+
+  } catch (error) {
+    console.error('❌ Get subscription plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching membership plans'
+    });
+  }
+});
+
+// @desc    Create membership plan
+// @route   POST /api/admin/subscription-plans
+// @access  Private (Admin only)
+router.post('/subscription-plans', async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.create(pickFields(req.body, SUBSCRIPTION_PLAN_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Membership plan created successfully',
+      data: { plan }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A membership plan with this slug already exists'
+      });
+    }
+
+    console.error('❌ Create subscription plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating membership plan'
+    });
+  }
+});
+
+// @desc    Update membership plan. Existing members keep the terms they signed up for.
+// @route   PUT /api/admin/subscription-plans/:id
+// @access  Private (Admin only)
+router.put('/subscription-plans/:id', async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Membership plan not found'
+      });
+    }
+
+    plan.set(pickFields(req.body, SUBSCRIPTION_PLAN_FIELDS));
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Membership plan updated successfully',
+      data: { plan }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A membership plan with this slug already exists'
+      });
+    }
+
+    console.error('❌ Update subscription plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating membership plan'
+    });
+  }
+});
+
+// @desc    Take membership plan off sale (kept for its members)
+// @route   DELETE /api/admin/subscription-plans/:id
+// @access  Private (Admin only)
+router.delete('/subscription-plans/:id', async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Membership plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Membership plan deactivated successfully',
+      data: { plan }
+    });
+
+  } catch (error) {
+    console.error('❌ Delete subscription plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating membership plan'
+    });
+  }
+});
+
+// @desc    Get memberships, optionally by status
+// @route   GET /api/admin/subscriptions
+// @access  Private (Admin only)
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const subscriptions = await Subscription.find(filter)
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: { subscriptions }
+    });
+
+  } catch (error) {
+    console.error('❌ Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching memberships'
+    });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,114 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Waitlist = require('../models/Waitlist');
+const Package = require('../models/Package');
+const ConsultationType = require('../models/ConsultationType');
+const schedulingService = require('../services/schedulingService');
+const waitlistService = require('../services/waitlistService');
+const seriesService = require('../services/seriesService');
+const paymentService = require('../services/paymentService');
+const giftVoucherService = require('../services/giftVoucherService');
+const subscriptionService = require('../services/subscriptionService');
+const videoRoomService = require('../services/videoRoomService');
+const { sendEmail, emailTemplates } = require('../utils/sendEmail');
+const { getAstrologerTimezone, isValidTimeZone } = require('../utils/timezone');
+const { SUPPORTED_CURRENCIES, getCurrencyForCountry, getUserCurrency } = require('../utils/currency');
+
+const CANCELLATION_NOTICE_HOURS = 2;
+const RESCHEDULE_NOTICE_HOURS = parseInt(process.env.RESCHEDULE_NOTICE_HOURS, 10) || 24;
+const RESCHEDULE_LIMIT = parseInt(process.env.RESCHEDULE_LIMIT, 10) || 2;
+
+// Look up the requested package on the server and check it covers the consultation type.
+// Returns { pkg } or { error } with a message for a 400 response.
+const resolvePackage = async (packageInfo, consultationType) => {
+  const pkg = await Package.resolve(packageInfo);
+
+  if (!pkg) {
+    return { error: 'Invalid or inactive package' };
+  }
+
+  if (!pkg.allowsConsultationType(consultationType)) {
+    return { error: `The ${pkg.name} package is not available for ${consultationType} consultations` };
+  }
+
+  return { pkg };
+};
+
+// Look up the consultation type and check the client's answers against its
+// questionnaire. Returns { type, intakeAnswers } or { error, errors } for a 400 response.
+const resolveConsultationType = async (consultationType, answers) => {
+  const type = await ConsultationType.resolve(consultationType);
+
+  if (!type) {
+    return { error: 'Invalid or inactive consultation type' };
+  }
+
+  const { errors, answers: intakeAnswers } = type.validateAnswers(answers || {});
+  if (errors.length > 0) {
+    return { error: `Please complete the ${type.name} questionnaire`, errors };
+  }
+
+  return { type, intakeAnswers };
+};
+
+// Hours until the appointment starts
+const hoursUntilStart = (appointment) => {
+  // Bookings made before instants were stored get them filled in here
+  if (!appointment.startsAt) {
+    appointment.syncInstants();
+  }
+  return (appointment.startsAt.getTime() - Date.now()) / (1000 * 60 * 60);
+};
+
+// Pending bookings can always be cancelled, others only up to the notice period
+const canClientCancel = (appointment) => {
+  if (!['pending', 'confirmed'].includes(appointment.status)) return false;
+  return appointment.status === 'pending' || hoursUntilStart(appointment) >= CANCELLATION_NOTICE_HOURS;
+};
+
+// Cancel a booking, free its slots and offer them to the waitlist, then refund
+// what the cancellation policy allows. Returns the refund issued, if any.
+const cancelAppointment = async (appointment, io) => {
+  const hoursAhead = hoursUntilStart(appointment);
+
+  appointment.status = 'cancelled';
+  // A booking cancelled before it was paid in full gives its wallet share back
+  if (['pending', 'failed'].includes(appointment.paymentStatus)) {
+    await paymentService.releaseWallet(appointment);
+  }
+  await appointment.save();
+  await schedulingService.releaseSlots(appointment._id);
+  await waitlistService.handleCancellation(appointment, io);
+
+  // A gift or membership booking cancelled early enough for a refund gets its
+  // voucher or session back instead
+  if (appointment.giftVoucher || appointment.subscription) {
+    if (paymentService.getPolicyRefundPercent(hoursAhead) > 0) {
+      await paymentService.releasePrepaidBooking(appointment);
+    }
+    return null;
+  }
+
+  const amount = Math.min(
+    paymentService.getPolicyRefundAmount(appointment, hoursAhead),
+    paymentService.getRefundableAmount(appointment)
+  );
+  if (amount <= 0) return null;
+
+  // The booking stays cancelled if the gateway is down; an admin can refund it later
+  try {
+    const refund = await paymentService.refundPayment(appointment, amount, {
+      reason: 'Cancelled by client',
+      source: 'cancellation'
+    });
+    return { amount, status: refund.status };
+  } catch (error) {
+    console.error(`❌ Refund for cancelled appointment ${appointment._id} failed:`, error.message);
+    return { amount, status: 'failed' };
+  }
+};
 
 // Simple auth middleware
 const authenticate = async (req, res, next) => {
@@ -18,26 +126,92 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// GET active packages, priced in ?currency= or the currency of ?country=
+router.get('/packages', async (req, res) => {
+  try {
+    const requested = String(req.query.currency || '').toUpperCase();
+    const currency = SUPPORTED_CURRENCIES.includes(requested)
+      ? requested
+      : getCurrencyForCountry(req.query.country);
+
+    const packages = await Package.find({ isActive: true }).sort({ price: 1 });
+
+    res.json({
+      success: true,
+      count: packages.length,
+      data: {
+        currency,
+        packages: packages.map(pkg => ({ ...pkg.toJSON(), displayPrice: pkg.getPrice(currency) }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching packages:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET active consultation types with their intake questionnaires
+router.get('/consultation-types', async (req, res) => {
+  try {
+    const types = await ConsultationType.find({ isActive: true }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: types.length,
+      data: { consultationTypes: types }
+    });
+  } catch (error) {
+    console.error('Error fetching consultation types:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // GET available slots
 router.get('/available-slots/:date', async (req, res) => {
   try {
     const { date } = req.params;
-    const dayOfWeek = new Date(date).getDay();
 
-    if (dayOfWeek === 0) {
-      return res.json({ success: true, data: { availableSlots: [] } });
+    if (!schedulingService.isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
     }
 
-    const slots = [
-      { time: '17:00', label: '5:00 PM - 5:30 PM' },
-      { time: '17:30', label: '5:30 PM - 6:00 PM' },
-      { time: '18:00', label: '6:00 PM - 6:30 PM' },
-      { time: '18:30', label: '6:30 PM - 7:00 PM' },
-      { time: '19:00', label: '7:00 PM - 7:30 PM' },
-      { time: '19:30', label: '7:30 PM - 8:00 PM' },
-    ];
+    const { timezone } = req.query;
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid IANA time zone'
+      });
+    }
+
+    // A package's duration takes precedence over a raw duration
+    let duration = parseInt(req.query.duration, 10) || schedulingService.slotDuration;
+    if (req.query.package) {
+      const pkg = await Package.resolve(req.query.package);
+      if (!pkg) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or inactive package'
+        });
+      }
+      duration = pkg.duration;
+    }
+
+    const slots = await schedulingService.getAvailableSlots(date, { duration, timezone });
 
-    res.json({ success: true, data: { availableSlots: slots } });
+    res.json({
+      success: true,
+      data: {
+        date,
+        timezone: getAstrologerTimezone(),
+        clientTimezone: timezone || getAstrologerTimezone(),
+        duration,
+        slotDuration: schedulingService.slotDuration,
+        availableSlots: slots
+      }
+    });
   } catch (error) {
     console.error('Error fetching slots:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -54,7 +228,14 @@ router.post('/', authenticate, async (req, res) => {
       appointmentTime,
       consultationType,
       package: packageInfo,
-      clientQuestions
+      answers,
+      clientQuestions,
+      timezone,
+      recurrence,
+      useWallet,
+      giftCode,
+      useSubscription,
+      recordingOptOut
     } = req.body;
 
     // Validation
@@ -66,24 +247,56 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    // Map frontend package names to schema enum values
-    const packageMapping = {
-      'Basic Consultation': 'basic',
-      'Premium Consultation': 'premium',
-      'Advanced Consultation': 'advanced',
-      'basic': 'basic',
-      'premium': 'premium',
-      'advanced': 'advanced'
-    };
+    const { type, intakeAnswers, error: typeError, errors: answerErrors } =
+      await resolveConsultationType(consultationType, answers);
 
-    const mappedPackage = packageMapping[packageInfo.name] || packageInfo.name?.toLowerCase();
+    if (typeError) {
+      return res.status(400).json({
+        success: false,
+        message: typeError,
+        ...(answerErrors && { errors: answerErrors })
+      });
+    }
+
+    // Price and duration always come from the server-side package catalog
+    const { pkg, error: packageError } = await resolvePackage(packageInfo, type.slug);
+
+    if (packageError) {
+      return res.status(400).json({
+        success: false,
+        message: packageError
+      });
+    }
 
-    if (!mappedPackage || !['basic', 'premium', 'advanced'].includes(mappedPackage)) {
+    if (!schedulingService.isValidDate(appointmentDate) || !schedulingService.isValidTime(appointmentTime)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid package type',
-        received: packageInfo.name,
-        allowed: ['basic', 'premium', 'advanced']
+        message: 'Appointment date must be YYYY-MM-DD and time must be HH:MM'
+      });
+    }
+
+    const { duration } = pkg;
+
+    if (recurrence) {
+      const ruleError = seriesService.validateRule(recurrence);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          message: ruleError
+        });
+      }
+    }
+
+    // Reject slots outside working hours or already taken before trying to hold them.
+    // Series check each of their occurrences separately below.
+    const isAvailable = !recurrence &&
+      await schedulingService.isSlotAvailable(appointmentDate, appointmentTime, { duration });
+    if (!recurrence && !isAvailable) {
+      const conflict = await schedulingService.buildConflictError(appointmentDate, appointmentTime, { duration });
+      return res.status(409).json({
+        success: false,
+        message: conflict.message,
+        data: { alternatives: conflict.alternatives }
       });
     }
 
@@ -91,37 +304,177 @@ router.post('/', authenticate, async (req, res) => {
       user: req.user.id,
       appointmentDate,
       appointmentTime,
-      consultationType,
-      package: mappedPackage,
-      amount: packageInfo.price,
-      duration: packageInfo.duration
+      consultationType: type.slug,
+      package: pkg.slug,
+      duration
     });
-    // In routes/appointments.js - after saving appointment
-    const { sendAppointmentNotification } = require('../services/emailService');
 
-    await appointment.save();
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid IANA time zone'
+      });
+    }
 
-    // Send email notification to astrologer
-    await sendAppointmentNotification({
-      ...appointment.toObject(),
-      user: await User.findById(appointment.user)
-    });
+    // Each occurrence of a series is paid at its own checkout, which is where
+    // the wallet can be applied to it
+    if (recurrence && useWallet) {
+      return res.status(400).json({
+        success: false,
+        message: 'The wallet can only be applied when paying each appointment of a series'
+      });
+    }
 
-    // Create appointment
-    const appointment = new Appointment({
+    const client = await User.findById(req.user.id);
+
+    // A gift code pays for a single booking of the package it was bought for
+    let voucher = null;
+    if (giftCode) {
+      if (recurrence) {
+        return res.status(400).json({
+          success: false,
+          message: 'A gift code can only be used for a single appointment'
+        });
+      }
+
+      try {
+        voucher = await giftVoucherService.findRedeemable(giftCode, client, pkg.slug);
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    // Members book from their session allowance instead of paying
+    let subscription = null;
+    if (useSubscription && !voucher) {
+      if (recurrence) {
+        return res.status(400).json({
+          success: false,
+          message: 'Membership sessions can only be booked one at a time'
+        });
+      }
+
+      subscription = await subscriptionService.getCurrentSubscription(req.user.id);
+      if (!subscription || !subscriptionService.canBook(subscription, pkg.slug)) {
+        return res.status(400).json({
+          success: false,
+          message: subscription
+            ? 'Your membership does not cover this package'
+            : 'You do not have an active membership'
+        });
+      }
+    }
+
+    // Clients pay in the currency of the country in their profile; gifts keep
+    // the price the buyer paid
+    const packageSnapshot = voucher ? voucher.packageSnapshot.toObject() : pkg.toSnapshot(getUserCurrency(client));
+
+    const fields = {
       user: req.user.id,
+      clientTimezone: timezone || client?.timezone || getAstrologerTimezone(),
       appointmentDate: new Date(appointmentDate),
       appointmentTime,
-      consultationType,
-      package: mappedPackage,
-      amount: packageInfo.price,
-      duration: packageInfo.duration,
+      consultationType: type.slug,
+      package: pkg.slug,
+      packageSnapshot,
+      amount: packageSnapshot.price,
+      currency: packageSnapshot.currency,
+      duration,
+      intakeAnswers,
       clientQuestions: clientQuestions || [],
+      recordingOptOut: Boolean(recordingOptOut),
       status: 'pending',
       paymentStatus: 'pending'
-    });
+    };
 
-    await appointment.save();
+    if (recurrence) {
+      const { seriesId, appointments } = await seriesService.createSeries(fields, appointmentDate, recurrence);
+
+      try {
+        await sendEmail({
+          email: process.env.ASTROLOGER_EMAIL,
+          subject: `New Consultation Series - ${appointments.length} sessions from ${appointmentDate}`,
+          message: `${client ? client.fullName : 'A client'} booked a ${pkg.name} ${type.name} series of ${appointments.length} sessions (${recurrence.frequency}, every ${recurrence.interval}) starting ${appointmentDate} at ${appointmentTime}.`
+        });
+      } catch (emailError) {
+        console.error('Series notification email failed:', emailError);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: `Series of ${appointments.length} appointments created successfully`,
+        data: {
+          series: { id: seriesId, rule: recurrence },
+          appointments
+        }
+      });
+    }
+
+    // Create appointment
+    const appointment = new Appointment(fields);
+
+    // Hold the slots first so a concurrent request for the same time gets a 409
+    await schedulingService.reserveSlots(appointment);
+
+    try {
+      if (voucher) {
+        await giftVoucherService.redeem(voucher, appointment);
+      } else if (subscription) {
+        await subscriptionService.useAllowance(subscription, appointment);
+      }
+      await appointment.save();
+    } catch (error) {
+      await schedulingService.releaseSlots(appointment._id);
+      if (voucher) {
+        await giftVoucherService.release(appointment);
+      } else if (subscription) {
+        await subscriptionService.releaseAllowance(appointment);
+      }
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    // Gift and membership bookings are paid for already, so they get the same
+    // follow-up as a captured payment: video room and join links
+    if (voucher || subscription) {
+      await paymentService.afterCapture(appointment);
+    }
+
+    // Pay from the wallet straight away when asked; whatever it doesn't cover
+    // is paid through Razorpay at checkout
+    if (useWallet && !voucher && !subscription) {
+      await paymentService.applyWallet(appointment);
+
+      if (paymentService.getGatewayAmount(appointment) === 0) {
+        appointment.paymentStatus = 'completed';
+        appointment.paidAt = new Date();
+        appointment.status = 'confirmed';
+      }
+      await appointment.save();
+
+      if (appointment.paymentStatus === 'completed') {
+        await paymentService.afterCapture(appointment);
+      }
+    }
+
+    // Let the astrologer know about the new booking
+    try {
+      await sendEmail({
+        email: process.env.ASTROLOGER_EMAIL,
+        subject: `New Appointment - ${appointmentDate} at ${appointmentTime}`,
+        message: `${client ? client.fullName : 'A client'} booked a ${pkg.name} ${type.name} consultation on ${appointmentDate} at ${appointmentTime} (${duration} minutes).`
+      });
+    } catch (emailError) {
+      console.error('Appointment notification email failed:', emailError);
+    }
 
     res.status(201).json({
       success: true,
@@ -132,6 +485,16 @@ router.post('/', authenticate, async (req, res) => {
   } catch (error) {
     console.error('Create appointment error:', error);
 
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: error.occurrences
+          ? { occurrences: error.occurrences }
+          : { alternatives: error.alternatives }
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.keys(error.errors).map(key => ({
         field: key,
@@ -154,6 +517,380 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
+// Join the waitlist for a fully booked date range
+router.post('/waitlist', authenticate, async (req, res) => {
+  try {
+    const {
+      fromDate,
+      toDate,
+      preferredTimes = [],
+      consultationType,
+      package: packageInfo,
+      answers,
+      timezone
+    } = req.body;
+
+    if (!schedulingService.isValidDate(fromDate) || !schedulingService.isValidDate(toDate || fromDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!Array.isArray(preferredTimes) || !preferredTimes.every(time => schedulingService.isValidTime(time))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Preferred times must be a list of HH:MM times'
+      });
+    }
+
+    if (!consultationType || !packageInfo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields',
+        received: { consultationType, packageInfo }
+      });
+    }
+
+    const { type, intakeAnswers, error: typeError, errors: answerErrors } =
+      await resolveConsultationType(consultationType, answers);
+    if (typeError) {
+      return res.status(400).json({
+        success: false,
+        message: typeError,
+        ...(answerErrors && { errors: answerErrors })
+      });
+    }
+
+    const { pkg, error: packageError } = await resolvePackage(packageInfo, type.slug);
+    if (packageError) {
+      return res.status(400).json({
+        success: false,
+        message: packageError
+      });
+    }
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid IANA time zone'
+      });
+    }
+
+    const client = await User.findById(req.user.id);
+
+    const entry = await Waitlist.create({
+      user: req.user.id,
+      fromDate,
+      toDate: toDate || fromDate,
+      preferredTimes: preferredTimes.map(time => schedulingService.normalizeTime(time)),
+      consultationType: type.slug,
+      intakeAnswers,
+      package: pkg._id,
+      duration: pkg.duration,
+      timezone: timezone || client?.timezone || getAstrologerTimezone()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will email you when a slot opens up.',
+      data: { waitlist: entry }
+    });
+
+  } catch (error) {
+    console.error('❌ Join waitlist error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map(key => ({
+        field: key,
+        message: error.errors[key].message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while joining the waitlist'
+    });
+  }
+});
+
+// GET the current user's waitlist entries
+router.get('/waitlist', authenticate, async (req, res) => {
+  try {
+    const entries = await Waitlist.find({
+      user: req.user.id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+      .select('-offer.tokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: { waitlist: entries }
+    });
+
+  } catch (error) {
+    console.error('❌ Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlist'
+    });
+  }
+});
+
+// Leave the waitlist
+router.delete('/waitlist/:id', authenticate, async (req, res) => {
+  try {
+    const entry = await Waitlist.findById(req.params.id);
+
+    if (!entry || entry.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const hadOffer = entry.status === 'offered'
+      ? { date: entry.offer.date, time: entry.offer.time }
+      : null;
+
+    entry.status = 'cancelled';
+    await entry.save();
+    await schedulingService.releaseWaitlistHold(entry._id);
+
+    // Pass a declined offer straight on to the next client
+    if (hadOffer) {
+      await waitlistService.offerSlot(hadOffer.date, hadOffer.time, req.app.get('io'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+
+  } catch (error) {
+    console.error('❌ Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while leaving the waitlist'
+    });
+  }
+});
+
+// Claim a slot offered through the waitlist
+router.post('/waitlist/claim/:token', authenticate, async (req, res) => {
+  try {
+    const appointment = await waitlistService.claimOffer(req.params.token, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot claimed. Complete payment to confirm your appointment.',
+      data: { appointment }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.alternatives && { data: { alternatives: error.alternatives } })
+      });
+    }
+
+    console.error('❌ Claim waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while claiming the offer'
+    });
+  }
+});
+
+// GET every occurrence of a recurring series
+router.get('/series/:seriesId', authenticate, async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      'series.id': req.params.seriesId,
+      user: req.user.id
+    }).sort({ 'series.index': 1 });
+
+    if (appointments.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: appointments.length,
+      data: {
+        series: { id: req.params.seriesId, rule: appointments[0].series.rule },
+        appointments
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching series'
+    });
+  }
+});
+
+// Cancel every upcoming occurrence of a recurring series
+router.put('/series/:seriesId/cancel', authenticate, async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      'series.id': req.params.seriesId,
+      user: req.user.id
+    }).sort({ 'series.index': 1 });
+
+    if (appointments.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const io = req.app.get('io');
+    const occurrences = [];
+
+    for (const appointment of appointments) {
+      if (['cancelled', 'completed'].includes(appointment.status)) continue;
+
+      if (!canClientCancel(appointment)) {
+        occurrences.push({
+          index: appointment.series.index,
+          appointmentId: appointment._id,
+          cancelled: false,
+          reason: `Starts within ${CANCELLATION_NOTICE_HOURS} hours`
+        });
+        continue;
+      }
+
+      const refund = await cancelAppointment(appointment, io);
+      occurrences.push({
+        index: appointment.series.index,
+        appointmentId: appointment._id,
+        cancelled: true,
+        refund
+      });
+    }
+
+    const cancelledCount = occurrences.filter(occurrence => occurrence.cancelled).length;
+    console.log(`✅ Cancelled ${cancelledCount} occurrences of series ${req.params.seriesId}`);
+
+    res.json({
+      success: true,
+      message: `${cancelledCount} appointment${cancelledCount === 1 ? '' : 's'} in the series cancelled`,
+      data: { occurrences }
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling series'
+    });
+  }
+});
+
+// Move every upcoming occurrence of a recurring series to a new start date and time
+router.put('/series/:seriesId/reschedule', authenticate, async (req, res) => {
+  try {
+    const { appointmentDate, appointmentTime } = req.body;
+
+    if (!schedulingService.isValidDate(appointmentDate) || !schedulingService.isValidTime(appointmentTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment date must be YYYY-MM-DD and time must be HH:MM'
+      });
+    }
+
+    const appointments = await Appointment.find({
+      'series.id': req.params.seriesId,
+      user: req.user.id,
+      status: { $in: ['pending', 'confirmed'] }
+    }).sort({ 'series.index': 1 });
+
+    // Occurrences inside the notice period stay where they are
+    const movable = appointments.filter(appointment => hoursUntilStart(appointment) >= RESCHEDULE_NOTICE_HOURS);
+
+    if (movable.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming appointments in this series can be rescheduled'
+      });
+    }
+
+    // Moving the series reschedules every occurrence, so each must be under the limit
+    if (movable.some(appointment => appointment.rescheduleCount >= RESCHEDULE_LIMIT)) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointments can only be rescheduled ${RESCHEDULE_LIMIT} time${RESCHEDULE_LIMIT === 1 ? '' : 's'}`
+      });
+    }
+
+    const rescheduled = await seriesService.rescheduleSeries(movable, appointmentDate, appointmentTime, req.user.id);
+
+    console.log(`✅ Rescheduled ${rescheduled.length} occurrences of series ${req.params.seriesId}`);
+
+    for (const appointment of rescheduled) {
+      await videoRoomService.provisionPaidAppointment(appointment);
+    }
+
+    // Notify both parties
+    try {
+      const client = await User.findById(req.user.id);
+      const clientEmail = emailTemplates.seriesRescheduled(rescheduled, client);
+
+      await Promise.all([
+        sendEmail({
+          email: client.email,
+          subject: clientEmail.subject,
+          html: clientEmail.html
+        }),
+        sendEmail({
+          email: process.env.ASTROLOGER_EMAIL,
+          subject: `Consultation Series Rescheduled - from ${appointmentDate} at ${appointmentTime}`,
+          message: `${client.fullName} moved ${rescheduled.length} upcoming sessions of their series to start ${appointmentDate} at ${appointmentTime}.`
+        })
+      ]);
+    } catch (emailError) {
+      console.error('Series reschedule notification email failed:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: `${rescheduled.length} appointment${rescheduled.length === 1 ? '' : 's'} in the series rescheduled`,
+      data: { appointments: rescheduled }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: { occurrences: error.occurrences }
+      });
+    }
+
+    console.error('❌ Reschedule series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rescheduling series'
+    });
+  }
+});
+
 // ✅ ADD THIS MISSING CANCEL ROUTE
 router.put('/:id/cancel', authenticate, async (req, res) => {
   try {
@@ -179,29 +916,21 @@ router.put('/:id/cancel', authenticate, async (req, res) => {
     }
 
     // Check if appointment can be cancelled (2 hours before)
-    const now = new Date();
-    const appointmentDateTime = new Date(appointment.appointmentDate);
-    const timeDiff = appointmentDateTime.getTime() - now.getTime();
-    const hoursUntil = timeDiff / (1000 * 60 * 60);
-
-    if (hoursUntil < 2 && appointment.status !== 'pending') {
+    if (!canClientCancel(appointment)) {
       return res.status(400).json({
         success: false,
-        message: 'Appointments can only be cancelled 2 hours before the scheduled time'
+        message: `Appointments can only be cancelled ${CANCELLATION_NOTICE_HOURS} hours before the scheduled time`
       });
     }
 
-    // Update appointment status
-    appointment.status = 'cancelled';
-    appointment.paymentStatus = 'refunded';
-    await appointment.save();
+    const refund = await cancelAppointment(appointment, req.app.get('io'));
 
     console.log(`✅ Appointment ${req.params.id} cancelled successfully`);
 
     res.json({
       success: true,
       message: 'Appointment cancelled successfully',
-      data: { appointment }
+      data: { appointment, refund }
     });
 
   } catch (error) {
@@ -213,6 +942,156 @@ router.put('/:id/cancel', authenticate, async (req, res) => {
   }
 });
 
+// Reschedule a paid booking to another free slot, keeping its payment
+router.put('/:id/reschedule', authenticate, async (req, res) => {
+  try {
+    console.log(`📅 Reschedule request for appointment ID: ${req.params.id} by user: ${req.user.id}`);
+
+    const { appointmentDate, appointmentTime, reason } = req.body;
+
+    if (!schedulingService.isValidDate(appointmentDate) || !schedulingService.isValidTime(appointmentTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment date must be YYYY-MM-DD and time must be HH:MM'
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    // Check if user owns this appointment
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this appointment'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(appointment.status) || appointment.paymentStatus !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paid, upcoming appointments can be rescheduled'
+      });
+    }
+
+    if (appointment.rescheduleCount >= RESCHEDULE_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointments can only be rescheduled ${RESCHEDULE_LIMIT} time${RESCHEDULE_LIMIT === 1 ? '' : 's'}`
+      });
+    }
+
+    if (hoursUntilStart(appointment) < RESCHEDULE_NOTICE_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointments can only be rescheduled ${RESCHEDULE_NOTICE_HOURS} hours before the scheduled time`
+      });
+    }
+
+    const isAvailable = await schedulingService.isSlotAvailable(appointmentDate, appointmentTime, {
+      duration: appointment.duration,
+      excludeAppointmentId: appointment._id
+    });
+    if (!isAvailable) {
+      const conflict = await schedulingService.buildConflictError(appointmentDate, appointmentTime, {
+        duration: appointment.duration,
+        excludeAppointmentId: appointment._id
+      });
+      return res.status(409).json({
+        success: false,
+        message: conflict.message,
+        data: { alternatives: conflict.alternatives }
+      });
+    }
+
+    const previous = {
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime,
+      startsAt: appointment.startsAt,
+      schedule: appointment.schedule
+    };
+
+    appointment.appointmentDate = new Date(appointmentDate);
+    appointment.appointmentTime = appointmentTime;
+
+    // Move the slot holds first so a concurrent booking of the new time gets a 409
+    try {
+      await schedulingService.reserveSlots(appointment);
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: { alternatives: error.alternatives }
+      });
+    }
+
+    appointment.rescheduleHistory.push({
+      appointmentDate: previous.appointmentDate,
+      appointmentTime: previous.appointmentTime,
+      startsAt: previous.startsAt,
+      rescheduledBy: req.user.id,
+      reason
+    });
+    appointment.rescheduleCount += 1;
+
+    try {
+      await appointment.save();
+    } catch (error) {
+      // Put the holds back on the original slot
+      appointment.appointmentDate = previous.appointmentDate;
+      appointment.appointmentTime = previous.appointmentTime;
+      await schedulingService.reserveSlots(appointment);
+      throw error;
+    }
+
+    console.log(`✅ Appointment ${req.params.id} rescheduled to ${appointmentDate} ${appointmentTime}`);
+
+    // Move the video room's window to the new time
+    await videoRoomService.provisionPaidAppointment(appointment);
+
+    // Notify both parties
+    try {
+      const client = await User.findById(appointment.user);
+      const clientEmail = emailTemplates.appointmentRescheduled(appointment, client, previous.schedule);
+
+      await Promise.all([
+        sendEmail({
+          email: client.email,
+          subject: clientEmail.subject,
+          html: clientEmail.html
+        }),
+        sendEmail({
+          email: process.env.ASTROLOGER_EMAIL,
+          subject: `Appointment Rescheduled - ${appointmentDate} at ${appointmentTime}`,
+          message: `${client.fullName} moved their ${appointment.package} consultation from ${previous.schedule.astrologer.label} to ${appointment.schedule.astrologer.label}.${reason ? `\nReason: ${reason}` : ''}`
+        })
+      ]);
+    } catch (emailError) {
+      console.error('Reschedule notification email failed:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: { appointment }
+    });
+
+  } catch (error) {
+    console.error('❌ Reschedule appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rescheduling appointment'
+    });
+  }
+});
+
 // ✅ ADD THIS MISSING REVIEW ROUTE
 router.post('/:id/review', authenticate, async (req, res) => {
   try {
@@ -4,6 +4,7 @@ const crypto = require('crypto');
 const User = require('../models/User');
 const { sendTokenResponse, auth } = require('../middleware/auth');
 const sendEmail = require('../utils/sendEmail');
+const { isValidTimeZone } = require('../utils/timezone');
 const router = express.Router();
 
 // @desc    Register user
@@ -20,7 +21,8 @@ router.post('/register', [
   body('gender', 'Gender is required').isIn(['male', 'female', 'other']),
   body('placeOfBirth.city', 'Birth city is required').notEmpty(),
   body('placeOfBirth.state', 'Birth state is required').notEmpty(),
-  body('placeOfBirth.country', 'Birth country is required').notEmpty()
+  body('placeOfBirth.country', 'Birth country is required').notEmpty(),
+  body('timezone', 'Please provide a valid IANA time zone').optional().custom(isValidTimeZone)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -41,7 +43,8 @@ router.post('/register', [
       dateOfBirth,
       timeOfBirth,
       placeOfBirth,
-      gender
+      gender,
+      timezone
     } = req.body;
 
     // Check if user already exists
@@ -67,7 +70,8 @@ router.post('/register', [
       dateOfBirth,
       timeOfBirth,
       placeOfBirth,
-      gender
+      gender,
+      ...(timezone && { timezone })
     });
 
     // Generate email verification token
@@ -186,6 +190,7 @@ router.get('/me', auth, async (req, res, next) => {
           timeOfBirth: user.timeOfBirth,
           placeOfBirth: user.placeOfBirth,
           gender: user.gender,
+          timezone: user.timezone,
           age: user.age,
           role: user.role,
           isEmailVerified: user.isEmailVerified,
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const WebhookEvent = require('../models/WebhookEvent');
+const dailyService = require('../services/dailyService');
+const videoRoomService = require('../services/videoRoomService');
+
+// @desc    Receive Daily.co webhook events
+// @route   POST /api/video-call/webhook
+// @access  Public (signed with the webhook secret)
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook payload'
+    });
+  }
+
+  // Daily checks the endpoint with an unsigned test request when the webhook is set up
+  if (body.test) {
+    return res.json({ success: true });
+  }
+
+  if (!dailyService.isValidWebhookSignature(rawBody, req.header('X-Webhook-Timestamp'), req.header('X-Webhook-Signature'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  const eventId = body.id;
+  if (!eventId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing event ID'
+    });
+  }
+
+  try {
+    const claim = await WebhookEvent.claim('daily', eventId, body.type, body);
+    if (claim === 'processed') {
+      return res.json({
+        success: true,
+        message: 'Event already received'
+      });
+    }
+    // Another delivery is applying it; a non-2xx response has Daily retry
+    // later, in case that attempt dies
+    if (claim === 'busy') {
+      return res.status(409).json({
+        success: false,
+        message: 'Event is being processed'
+      });
+    }
+
+    let result;
+    try {
+      result = await videoRoomService.handleWebhookEvent(body);
+    } catch (error) {
+      await WebhookEvent.updateOne({ provider: 'daily', eventId }, { status: 'failed', error: error.message });
+      throw error;
+    }
+
+    await WebhookEvent.updateOne({ provider: 'daily', eventId }, { status: 'processed', processedAt: new Date() });
+    console.log(`✅ Daily webhook ${body.type} (${eventId}): ${result}`);
+
+    res.json({
+      success: true,
+      message: result
+    });
+
+  } catch (error) {
+    // A non-2xx response makes Daily retry the delivery
+    console.error(`❌ Daily webhook ${body.type} (${eventId}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook'
+    });
+  }
+});
+
+module.exports = router;
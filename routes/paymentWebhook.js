@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentService = require('../services/paymentService');
+
+// @desc    Receive Razorpay webhook events
+// @route   POST /api/payments/webhook
+// @access  Public (signed with the webhook secret)
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+  if (!paymentService.isValidWebhookSignature(rawBody, req.header('X-Razorpay-Signature'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook payload'
+    });
+  }
+
+  const eventId = req.header('X-Razorpay-Event-Id');
+  if (!eventId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing event ID'
+    });
+  }
+
+  try {
+    const claim = await WebhookEvent.claim('razorpay', eventId, body.event, body);
+    if (claim === 'processed') {
+      return res.json({
+        success: true,
+        message: 'Event already received'
+      });
+    }
+    // Another delivery is applying it; a non-2xx response has Razorpay retry
+    // later, in case that attempt dies
+    if (claim === 'busy') {
+      return res.status(409).json({
+        success: false,
+        message: 'Event is being processed'
+      });
+    }
+
+    let result;
+    try {
+      result = await paymentService.handleWebhookEvent(body);
+    } catch (error) {
+      await WebhookEvent.updateOne({ provider: 'razorpay', eventId }, { status: 'failed', error: error.message });
+      throw error;
+    }
+
+    await WebhookEvent.updateOne({ provider: 'razorpay', eventId }, { status: 'processed', processedAt: new Date() });
+    console.log(`✅ Razorpay webhook ${body.event} (${eventId}): ${result}`);
+
+    res.json({
+      success: true,
+      message: result
+    });
+
+  } catch (error) {
+    // A non-2xx response makes Razorpay deliver the event again later
+    console.error(`❌ Razorpay webhook ${body.event} (${eventId}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook'
+    });
+  }
+});
+
+module.exports = router;
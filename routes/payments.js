@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const Appointment = require('../models/Appointment');
+const schedulingService = require('../services/schedulingService');
+const waitlistService = require('../services/waitlistService');
+const paymentService = require('../services/paymentService');
+const couponService = require('../services/couponService');
+const walletService = require('../services/walletService');
+const giftVoucherService = require('../services/giftVoucherService');
+const subscriptionService = require('../services/subscriptionService');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
 
 // Simple authentication middleware (inline)
 const authenticate = async (req, res, next) => {
@@ -24,7 +32,7 @@ const authenticate = async (req, res, next) => {
 // @access  Private
 router.post('/create-order', authenticate, async (req, res) => {
   try {
-    const { appointmentId } = req.body;
+    const { appointmentId, couponCode } = req.body;
 
     // Get appointment details
     const appointment = await Appointment.findById(appointmentId);
@@ -43,38 +51,172 @@ router.post('/create-order', authenticate, async (req, res) => {
       });
     }
 
-    // For testing purposes - mock order creation
-    const mockOrder = {
-      id: `order_${Date.now()}`,
-      amount: appointment.amount * 100, // Amount in paise
-      currency: 'INR',
-      receipt: `appointment_${appointmentId}`,
-    };
+    if (appointment.status === 'cancelled' || appointment.paymentStatus === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: appointment.status === 'cancelled'
+          ? 'Cannot pay for a cancelled appointment'
+          : 'Appointment is already paid'
+      });
+    }
+
+    // The wallet keeps paying its share on a retry unless the client turns it off
+    const useWallet = req.body.useWallet ?? appointment.walletAmount > 0;
+
+    // Price the booking again from its package, so a coupon can be added, changed or dropped.
+    // Any earlier wallet share is given back first and taken again below.
+    await paymentService.releaseWallet(appointment);
+    const listPrice = appointment.packageSnapshot?.price ?? appointment.amount;
+
+    if (couponCode) {
+      const { coupon, discount, amount } = await couponService.validate(couponCode, {
+        userId: req.user.id,
+        amount: listPrice,
+        currency: paymentService.getCurrency(appointment),
+        packageSlug: appointment.package,
+        appointmentId: appointment._id
+      });
+
+      appointment.coupon = {
+        couponId: coupon._id,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        discount
+      };
+      appointment.amount = amount;
+    } else {
+      appointment.coupon = undefined;
+      appointment.amount = listPrice;
+    }
+
+    if (useWallet) {
+      await paymentService.applyWallet(appointment);
+    }
+
+    // A coupon or the wallet can cover the whole price, leaving nothing to charge
+    if (paymentService.getGatewayAmount(appointment) === 0) {
+      // Nothing has been taken yet, so a coupon the client can no longer use can still be refused
+      if (appointment.coupon) {
+        await appointment.save();
+        try {
+          await couponService.redeem(appointment);
+        } catch (error) {
+          await paymentService.releaseWallet(appointment);
+          appointment.coupon = undefined;
+          appointment.amount = listPrice;
+          await appointment.save();
+          throw error;
+        }
+      }
+
+      appointment.paymentStatus = 'completed';
+      appointment.paidAt = new Date();
+      if (appointment.status === 'pending') {
+        appointment.status = 'confirmed';
+      }
+      await appointment.save();
+      await paymentService.afterCapture(appointment);
+
+      return res.json({
+        success: true,
+        message: 'Appointment confirmed, nothing to pay',
+        data: {
+          amount: 0,
+          walletAmount: appointment.walletAmount,
+          appointment: appointment
+        }
+      });
+    }
+
+    const order = await paymentService.createOrder(appointment);
 
     // Update appointment with order ID
-    appointment.razorpayOrderId = mockOrder.id;
+    appointment.orderId = order.id;
     await appointment.save();
+    await paymentService.recordOrder(appointment, order, 'checkout');
 
     res.json({
       success: true,
       data: {
-        orderId: mockOrder.id,
-        amount: mockOrder.amount,
-        currency: mockOrder.currency,
+        keyId: paymentService.keyId,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        walletAmount: appointment.walletAmount,
         appointment: appointment
       }
     });
 
   } catch (error) {
     console.error('Create order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error creating payment order'
+      message: error.statusCode ? error.message : 'Error creating payment order'
     });
   }
 });
 
-// @desc    Verify payment signature (mock implementation)
+// @desc    Check a coupon code against an appointment before paying
+// @route   POST /api/payment/validate-coupon
+// @access  Private
+router.post('/validate-coupon', authenticate, async (req, res) => {
+  try {
+    const { code, appointmentId } = req.body;
+
+    if (!code || !appointmentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code and appointment are required'
+      });
+    }
+
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const listPrice = appointment.packageSnapshot?.price ?? appointment.amount;
+    const { coupon, discount, amount } = await couponService.validate(code, {
+      userId: req.user.id,
+      amount: listPrice,
+      currency: paymentService.getCurrency(appointment),
+      packageSlug: appointment.package,
+      appointmentId: appointment._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        originalAmount: listPrice,
+        discount,
+        amount
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error validating coupon'
+    });
+  }
+});
+
+// @desc    Verify payment signature and amount
 // @route   POST /api/payment/verify
 // @access  Private
 router.post('/verify', authenticate, async (req, res) => {
@@ -86,27 +228,72 @@ router.post('/verify', authenticate, async (req, res) => {
       appointmentId
     } = req.body;
 
-    // For testing purposes - always return success
-    // In production, you'd verify the Razorpay signature here
+    if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature || !appointmentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing payment details'
+      });
+    }
 
-    // Update appointment payment status
-    await Appointment.findByIdAndUpdate(appointmentId, {
-      paymentStatus: 'completed',
-      status: 'confirmed',
-      razorpayPaymentId: razorpayPaymentId,
-      paidAt: new Date()
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    // The checkout callback can fire more than once for the same payment
+    if (appointment.paymentStatus === 'completed' && appointment.paymentId === razorpayPaymentId) {
+      return res.json({
+        success: true,
+        message: 'Payment already verified',
+        data: { appointment }
+      });
+    }
+
+    const payment = await paymentService.verifyPayment(appointment, {
+      orderId: razorpayOrderId,
+      paymentId: razorpayPaymentId,
+      signature: razorpaySignature
     });
 
+    await paymentService.recordPayment(
+      appointment,
+      payment.status === 'captured' ? 'capture' : 'attempt',
+      payment,
+      'checkout'
+    );
+
+    // Settled the same way as the webhook, which may also cover a booking
+    // cancelled by /failed in the meantime
+    const note = await paymentService.confirmCapture(appointment, payment);
+    if (appointment.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: `${note}; the payment is being refunded`,
+        data: { appointment }
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Payment verified successfully'
+      message: 'Payment verified successfully',
+      data: { appointment }
     });
 
   } catch (error) {
     console.error('Verify payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error verifying payment'
+      message: error.statusCode ? error.message : 'Error verifying payment'
     });
   }
 });
@@ -118,9 +305,54 @@ router.post('/failed', authenticate, async (req, res) => {
   try {
     const { appointmentId, error } = req.body;
 
-    await Appointment.findByIdAndUpdate(appointmentId, {
-      paymentStatus: 'failed',
-      status: 'cancelled'
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    // A late failure callback must not undo a payment that went through
+    if (appointment.paymentStatus === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment is already paid'
+      });
+    }
+
+    const wasCancelled = appointment.status === 'cancelled';
+
+    appointment.paymentStatus = 'failed';
+    appointment.status = 'cancelled';
+    await paymentService.releaseWallet(appointment);
+    await appointment.save();
+    await schedulingService.releaseSlots(appointmentId);
+
+    // The freed slot goes to the waitlist, as with any other cancellation
+    if (!wasCancelled) {
+      await waitlistService.handleCancellation(appointment, req.app.get('io'));
+    }
+
+    // Razorpay checkout puts the failed payment's IDs in error.metadata
+    const failedPaymentId = error?.metadata?.payment_id;
+    await paymentService.recordTransaction(appointment, {
+      type: 'failure',
+      source: 'checkout',
+      orderId: error?.metadata?.order_id || appointment.orderId,
+      paymentId: failedPaymentId,
+      amount: appointment.amount,
+      currency: paymentService.getCurrency(appointment),
+      status: 'failed',
+      reference: failedPaymentId && `failure:${failedPaymentId}`,
+      payload: error
     });
 
     res.json({
@@ -137,6 +369,317 @@ router.post('/failed', authenticate, async (req, res) => {
   }
 });
 
+// @desc    Create Razorpay order to top up the wallet
+// @route   POST /api/payment/wallet/topup
+// @access  Private
+router.post('/wallet/topup', authenticate, async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const order = await paymentService.createTopupOrder(req.user.id, amount);
+
+    res.json({
+      success: true,
+      data: {
+        keyId: paymentService.keyId,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency
+      }
+    });
+
+  } catch (error) {
+    console.error('Create top-up order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating top-up order'
+    });
+  }
+});
+
+// @desc    Verify wallet top-up payment and credit the wallet
+// @route   POST /api/payment/wallet/verify
+// @access  Private
+router.post('/wallet/verify', authenticate, async (req, res) => {
+  try {
+    const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+
+    if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing payment details'
+      });
+    }
+
+    const entry = await paymentService.verifyTopup(req.user.id, {
+      orderId: razorpayOrderId,
+      paymentId: razorpayPaymentId,
+      signature: razorpaySignature
+    });
+
+    res.json({
+      success: true,
+      message: entry ? 'Wallet topped up successfully' : 'Top-up already credited',
+      data: {
+        balance: await walletService.getBalance(req.user.id),
+        transaction: entry
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify top-up error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying top-up'
+    });
+  }
+});
+
+// @desc    Create Razorpay order for a gift consultation
+// @route   POST /api/payment/gifts
+// @access  Private
+router.post('/gifts', authenticate, async (req, res) => {
+  try {
+    const { package: packageSlug, recipientName, recipientEmail, message } = req.body;
+
+    if (!packageSlug || !recipientName || !recipientEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Package, recipient name and recipient email are required'
+      });
+    }
+
+    const voucher = await giftVoucherService.createVoucher(req.user.id, {
+      package: packageSlug,
+      recipientName,
+      recipientEmail,
+      message
+    });
+    const order = await paymentService.createGiftOrder(voucher);
+
+    res.json({
+      success: true,
+      data: {
+        keyId: paymentService.keyId,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        giftId: voucher._id
+      }
+    });
+
+  } catch (error) {
+    console.error('Create gift order error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating gift order'
+    });
+  }
+});
+
+// @desc    Verify gift payment and send the code to the recipient
+// @route   POST /api/payment/gifts/verify
+// @access  Private
+router.post('/gifts/verify', authenticate, async (req, res) => {
+  try {
+    const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+
+    if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing payment details'
+      });
+    }
+
+    const { voucher, completed } = await paymentService.verifyGiftPurchase(req.user.id, {
+      orderId: razorpayOrderId,
+      paymentId: razorpayPaymentId,
+      signature: razorpaySignature
+    });
+
+    res.json({
+      success: true,
+      message: completed
+        ? `Gift sent to ${voucher.recipientEmail}`
+        : 'Gift already paid',
+      data: {
+        gift: {
+          id: voucher._id,
+          package: voucher.package,
+          recipientName: voucher.recipientName,
+          recipientEmail: voucher.recipientEmail,
+          amount: voucher.amount,
+          currency: voucher.currency,
+          status: voucher.status,
+          expiresAt: voucher.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify gift payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying gift payment'
+    });
+  }
+});
+
+// @desc    Get membership plans on sale
+// @route   GET /api/payment/subscriptions/plans
+// @access  Private
+router.get('/subscriptions/plans', authenticate, async (req, res) => {
+  try {
+    const plans = await SubscriptionPlan.find({ isActive: true })
+      .select('-razorpayPlanId')
+      .sort({ price: 1 });
+
+    res.json({
+      success: true,
+      count: plans.length,
+      data: { plans }
+    });
+
+  } catch (error) {
+    console.error('Get subscription plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching membership plans'
+    });
+  }
+});
+
+// @desc    Get the user's current membership and sessions left this cycle
+// @route   GET /api/payment/subscriptions/me
+// @access  Private
+router.get('/subscriptions/me', authenticate, async (req, res) => {
+  try {
+    const subscription = await subscriptionService.getCurrentSubscription(req.user.id);
+
+    res.json({
+      success: true,
+      data: { subscription }
+    });
+
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching membership'
+    });
+  }
+});
+
+// @desc    Subscribe to a membership plan through Razorpay Subscriptions
+// @route   POST /api/payment/subscriptions
+// @access  Private
+router.post('/subscriptions', authenticate, async (req, res) => {
+  try {
+    if (!req.body.plan) {
+      return res.status(400).json({
+        success: false,
+        message: 'Plan is required'
+      });
+    }
+
+    const plan = await subscriptionService.findPlan(req.body.plan);
+    const { subscription, gatewaySubscription } = await paymentService.createSubscription(req.user.id, plan);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        keyId: paymentService.keyId,
+        subscriptionId: gatewaySubscription.id,
+        shortUrl: gatewaySubscription.short_url,
+        subscription
+      }
+    });
+
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating membership'
+    });
+  }
+});
+
+// @desc    Verify the first membership payment and start the allowance
+// @route   POST /api/payment/subscriptions/verify
+// @access  Private
+router.post('/subscriptions/verify', authenticate, async (req, res) => {
+  try {
+    const { razorpaySubscriptionId, razorpayPaymentId, razorpaySignature } = req.body;
+
+    if (!razorpaySubscriptionId || !razorpayPaymentId || !razorpaySignature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing payment details'
+      });
+    }
+
+    const subscription = await paymentService.verifySubscription(req.user.id, {
+      subscriptionId: razorpaySubscriptionId,
+      paymentId: razorpayPaymentId,
+      signature: razorpaySignature
+    });
+
+    res.json({
+      success: true,
+      message: 'Membership activated',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    console.error('Verify subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying membership payment'
+    });
+  }
+});
+
+// @desc    Cancel the user's membership, by default at the end of the paid cycle
+// @route   POST /api/payment/subscriptions/cancel
+// @access  Private
+router.post('/subscriptions/cancel', authenticate, async (req, res) => {
+  try {
+    const subscription = await subscriptionService.getCurrentSubscription(req.user.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have an active membership'
+      });
+    }
+
+    const atCycleEnd = req.body.immediately !== true;
+    await paymentService.cancelSubscription(subscription, { atCycleEnd });
+
+    res.json({
+      success: true,
+      message: atCycleEnd
+        ? 'Membership will end with the current billing cycle'
+        : 'Membership cancelled',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error cancelling membership'
+    });
+  }
+});
+
 // @desc    Test route
 // @route   GET /api/payment/test
 // @access  Public
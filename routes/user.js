@@ -4,7 +4,13 @@ const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const User = require('../models/User');
 const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const GiftVoucher = require('../models/GiftVoucher');
 const { auth, clientOnly } = require('../middleware/auth'); // Fixed: Added auth import
+const schedulingService = require('../services/schedulingService');
+const invoiceService = require('../services/invoiceService');
+const walletService = require('../services/walletService');
+const { isValidTimeZone, formatInZone } = require('../utils/timezone');
 const router = express.Router();
 
 // Configure Cloudinary
@@ -42,7 +48,11 @@ router.put('/profile', clientOnly, [
   body('gender', 'Gender is required').optional().isIn(['male', 'female', 'other']),
   body('placeOfBirth.city', 'Birth city is required').optional().notEmpty(),
   body('placeOfBirth.state', 'Birth state is required').optional().notEmpty(),
-  body('placeOfBirth.country', 'Birth country is required').optional().notEmpty()
+  body('placeOfBirth.country', 'Birth country is required').optional().notEmpty(),
+  body('timezone', 'Please provide a valid IANA time zone').optional().custom(isValidTimeZone),
+  body('billingAddress.state', 'Billing state is required').optional().notEmpty(),
+  body('billingAddress.gstin', 'Please enter a valid GSTIN').optional({ checkFalsy: true })
+    .matches(/^\d{2}[A-Za-z]{5}\d{4}[A-Za-z][1-9A-Za-z][Zz][0-9A-Za-z]$/)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -66,7 +76,7 @@ router.put('/profile', clientOnly, [
     // Update allowed fields
     const allowedUpdates = [
       'firstName', 'lastName', 'phone', 'dateOfBirth', 
-      'timeOfBirth', 'placeOfBirth', 'gender'
+      'timeOfBirth', 'placeOfBirth', 'gender', 'timezone', 'billingAddress'
     ];
 
     allowedUpdates.forEach(field => {
@@ -100,6 +110,8 @@ router.put('/profile', clientOnly, [
           timeOfBirth: user.timeOfBirth,
           placeOfBirth: user.placeOfBirth,
           gender: user.gender,
+          timezone: user.timezone,
+          billingAddress: user.billingAddress,
           age: user.age,
           role: user.role,
           isEmailVerified: user.isEmailVerified,
@@ -249,12 +261,13 @@ router.get('/dashboard', clientOnly, async (req, res, next) => {
       totalSpent,
       nextAppointment,
       recentAppointments,
-      averageRating
+      averageRating,
+      walletBalance
     ] = await Promise.all([
       Appointment.countDocuments({ user: userId }), // Fixed: user instead of client
       Appointment.countDocuments({ 
         user: userId, // Fixed: user instead of client
-        appointmentDate: { $gte: today },
+        startsAt: { $gte: today },
         status: { $in: ['confirmed', 'pending'] }
       }),
       Appointment.countDocuments({ user: userId, status: 'completed' }), // Fixed
@@ -270,10 +283,10 @@ router.get('/dashboard', clientOnly, async (req, res, next) => {
       ]),
       Appointment.findOne({
         user: userId, // Fixed: user instead of client
-        appointmentDate: { $gte: today },
+        startsAt: { $gte: today },
         status: { $in: ['confirmed', 'pending'] }
       })
-        .sort({ appointmentDate: 1, appointmentTime: 1 }), // Fixed: appointmentTime instead of timeSlot.startTime
+        .sort({ startsAt: 1 }),
       Appointment.find({ user: userId }) // Fixed: user instead of client
         .sort({ appointmentDate: -1 })
         .limit(5),
@@ -285,7 +298,8 @@ router.get('/dashboard', clientOnly, async (req, res, next) => {
           } 
         },
         { $group: { _id: null, average: { $avg: '$rating' } } } // Fixed: direct rating field
-      ])
+      ]),
+      walletService.getBalance(userId)
     ]);
 
     // Get consultation type breakdown
@@ -309,7 +323,8 @@ router.get('/dashboard', clientOnly, async (req, res, next) => {
           completedAppointments,
           cancelledAppointments,
           totalSpent: totalSpent[0]?.total || 0,
-          averageRating: Math.round((averageRating[0]?.average || 0) * 10) / 10
+          averageRating: Math.round((averageRating[0]?.average || 0) * 10) / 10,
+          walletBalance
         },
         nextAppointment,
         recentAppointments,
@@ -362,6 +377,101 @@ router.get('/appointments', clientOnly, async (req, res, next) => {
   }
 });
 
+// @desc    Get wallet balance and recent transactions
+// @route   GET /api/user/wallet
+// @access  Private (Client only)
+router.get('/wallet', clientOnly, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const [balance, transactions] = await Promise.all([
+      walletService.getBalance(req.user.id),
+      walletService.getTransactions(req.user.id, limit)
+    ]);
+
+    res.json({
+      success: true,
+      data: { balance, transactions }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get gift consultations the user has bought
+// @route   GET /api/user/gifts
+// @access  Private (Client only)
+router.get('/gifts', clientOnly, async (req, res, next) => {
+  try {
+    // The code itself only goes to the recipient
+    const gifts = await GiftVoucher.find({ purchaser: req.user.id, status: { $ne: 'pending' } })
+      .select('-code -orderId')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: gifts.length,
+      data: { gifts }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get user's invoices
+// @route   GET /api/user/invoices
+// @access  Private (Client only)
+router.get('/invoices', clientOnly, async (req, res, next) => {
+  try {
+    const invoices = await Invoice.find({ user: req.user.id, invoiceNumber: { $exists: true } })
+      .select('invoiceNumber appointment issuedAt total currency')
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      data: { invoices }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download an invoice as PDF
+// @route   GET /api/user/invoices/:id
+// @access  Private (Client only)
+router.get('/invoices/:id', clientOnly, async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      invoiceNumber: { $exists: true }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const pdf = await invoiceService.renderPdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get notifications for user
 // @route   GET /api/user/notifications
 // @access  Private (Client only)
@@ -369,8 +479,7 @@ router.get('/notifications', clientOnly, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
 
     // Generate notifications based on appointments
     const notifications = [];
@@ -378,32 +487,31 @@ router.get('/notifications', clientOnly, async (req, res, next) => {
     // Upcoming appointments (next 24 hours)
     const upcomingAppointments = await Appointment.find({
       user: userId, // Fixed: user instead of client
-      appointmentDate: { 
-        $gte: today,
+      startsAt: { 
+        $gt: today,
         $lte: tomorrow 
       },
       status: 'confirmed'
-    }).sort({ appointmentDate: 1, appointmentTime: 1 }); // Fixed: appointmentTime
+    }).sort({ startsAt: 1 });
 
     upcomingAppointments.forEach(appointment => {
-      const appointmentTime = new Date(appointment.appointmentDate);
-      const [hours, minutes] = appointment.appointmentTime.split(':').map(Number); // Fixed: appointmentTime
-      appointmentTime.setHours(hours, minutes, 0, 0);
-      
-      const timeDiff = appointmentTime.getTime() - today.getTime();
+      const timeDiff = appointment.startsAt.getTime() - today.getTime();
       const hoursUntil = Math.floor(timeDiff / (1000 * 60 * 60));
-      
-      if (hoursUntil <= 24 && hoursUntil > 0) {
-        notifications.push({
-          id: `upcoming-${appointment._id}`,
-          type: 'upcoming_appointment',
-          title: 'Upcoming Appointment',
-          message: `You have a consultation in ${hoursUntil} hour${hoursUntil > 1 ? 's' : ''} at ${appointment.appointmentTime}`, // Fixed
-          priority: hoursUntil <= 1 ? 'high' : 'medium',
-          appointmentId: appointment._id,
-          createdAt: today
-        });
-      }
+      const localStart = formatInZone(appointment.startsAt, req.user.timezone);
+      const whenText = hoursUntil > 0
+        ? `in ${hoursUntil} hour${hoursUntil > 1 ? 's' : ''}`
+        : 'in less than an hour';
+
+      notifications.push({
+        id: `upcoming-${appointment._id}`,
+        type: 'upcoming_appointment',
+        title: 'Upcoming Appointment',
+        message: `You have a consultation ${whenText} at ${localStart.time} (${localStart.timezone})`,
+        priority: hoursUntil < 1 ? 'high' : 'medium',
+        appointmentId: appointment._id,
+        schedule: appointment.schedule,
+        createdAt: today
+      });
     });
 
     // Pending payments
@@ -551,7 +659,7 @@ router.delete('/account', clientOnly, [
     // Check for upcoming confirmed appointments
     const upcomingAppointments = await Appointment.countDocuments({
       user: user._id, // Fixed: user instead of client
-      appointmentDate: { $gte: new Date() },
+      startsAt: { $gte: new Date() },
       status: 'confirmed'
     });
 
@@ -562,7 +670,10 @@ router.delete('/account', clientOnly, [
       });
     }
 
-    // Cancel any pending appointments
+    // Cancel any pending appointments and free their slots
+    const pendingAppointments = await Appointment.find({ user: user._id, status: 'pending' }).select('_id');
+    await Promise.all(pendingAppointments.map(apt => schedulingService.releaseSlots(apt._id)));
+
     await Appointment.updateMany(
       {
         user: user._id, // Fixed: user instead of client
@@ -3,6 +3,8 @@ const router = express.Router();
 const { auth } = require('../middleware/auth');
 const Appointment = require('../models/Appointment');
 const dailyService = require('../services/dailyService');
+const videoRoomService = require('../services/videoRoomService');
+const recordingService = require('../services/recordingService');
 
 // Create video call room for appointment
 router.post('/create-room/:appointmentId', auth, async (req, res) => {
@@ -25,26 +27,24 @@ router.post('/create-room/:appointmentId', auth, async (req, res) => {
       });
     }
 
-    // Create Daily.co room
-    const appointmentDate = new Date(appointment.appointmentDate);
-    const roomExpiry = new Date(appointmentDate.getTime() + 3 * 60 * 60 * 1000); // 3 hours
+    if (!appointment.startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment has no scheduled start time'
+      });
+    }
 
-    const roomData = await dailyService.createRoom(req.params.appointmentId, roomExpiry);
-    
-    // Update appointment with room info
-    appointment.videoCall = {
-      roomName: roomData.roomName,
-      roomUrl: roomData.roomUrl,
-      isActive: false
-    };
-    
-    await appointment.save();
+    // Rooms are normally provisioned when the appointment is paid; this
+    // creates a missing one or resets its window to the appointment's time
+    const videoCall = await videoRoomService.provisionRoom(appointment);
 
     res.json({
       success: true,
       data: {
-        roomName: roomData.roomName,
-        roomUrl: roomData.roomUrl,
+        roomName: videoCall.roomName,
+        roomUrl: videoCall.roomUrl,
+        opensAt: videoCall.opensAt,
+        expiresAt: videoCall.expiresAt,
         appointmentId: appointment._id
       }
     });
@@ -80,13 +80,26 @@ router.get('/meeting-token/:appointmentId', auth, async (req, res) => {
       });
     }
 
+    let window;
+    try {
+      window = videoRoomService.checkJoinWindow(appointment);
+    } catch (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.data && { data: error.data })
+      });
+    }
+
     const userRole = req.user.role === 'admin' ? 'admin' : 'participant';
     const userName = `${req.user.firstName} ${req.user.lastName}`;
     
+    // The token stops working when the room closes
     const meetingToken = await dailyService.createMeetingToken(
       appointment.videoCall.roomName,
       userName,
-      userRole
+      userRole,
+      { expiresAt: window.expiresAt, enableRecording: !appointment.recordingOptOut }
     );
 
     res.json({
@@ -95,7 +108,8 @@ router.get('/meeting-token/:appointmentId', auth, async (req, res) => {
         token: meetingToken,
         roomUrl: appointment.videoCall.roomUrl,
         roomName: appointment.videoCall.roomName,
-        userRole
+        userRole,
+        expiresAt: window.expiresAt
       }
     });
 
@@ -108,11 +122,20 @@ router.get('/meeting-token/:appointmentId', auth, async (req, res) => {
   }
 });
 
-// Mark call as started/ended
+// A participant's own report that the call started or ended. Daily's webhook
+// is the record of call timing, so this only fills in what it has not set yet,
+// and never completes the appointment or deletes its room.
 router.put('/call-status/:appointmentId', auth, async (req, res) => {
   try {
     const { status } = req.body; // 'started' or 'ended'
-    
+
+    if (!['started', 'ended'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'started' or 'ended'"
+      });
+    }
+
     const appointment = await Appointment.findById(req.params.appointmentId);
     if (!appointment) {
       return res.status(404).json({
@@ -121,23 +144,24 @@ router.put('/call-status/:appointmentId', auth, async (req, res) => {
       });
     }
 
-    if (status === 'started') {
-      appointment.videoCall.isActive = true;
-      appointment.videoCall.startedAt = new Date();
-      appointment.status = 'in-progress';
-    } else if (status === 'ended') {
-      appointment.videoCall.isActive = false;
-      appointment.videoCall.endedAt = new Date();
-      appointment.status = 'completed';
-      
-      // Schedule room deletion (optional, after some time)
-      setTimeout(async () => {
-        try {
-          await dailyService.deleteRoom(appointment.videoCall.roomName);
-        } catch (error) {
-          console.error('Failed to delete room:', error);
-        }
-      }, 60 * 60 * 1000); // Delete after 1 hour
+    // Check if user is authorized (client or admin)
+    const isAuthorized = appointment.user.toString() === req.user.id || req.user.role === 'admin';
+    if (!isAuthorized) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this appointment'
+      });
+    }
+
+    const { videoCall } = appointment;
+    if (status === 'started' && !videoCall.startedAt) {
+      videoCall.isActive = true;
+      videoCall.startedAt = new Date();
+      if (appointment.status === 'confirmed') {
+        appointment.status = 'in-progress';
+      }
+    } else if (status === 'ended' && videoCall.startedAt && !videoCall.endedAt) {
+      videoCall.isActive = false;
     }
 
     await appointment.save();
@@ -156,4 +180,93 @@ router.put('/call-status/:appointmentId', auth, async (req, res) => {
   }
 });
 
+// List the consultations with recordings available (admins see every client's)
+router.get('/recordings', auth, async (req, res) => {
+  try {
+    const library = await recordingService.listLibrary(req.user);
+
+    res.json({
+      success: true,
+      data: library
+    });
+
+  } catch (error) {
+    console.error('❌ Recording library error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recordings'
+    });
+  }
+});
+
+// List an appointment's recordings
+router.get('/recordings/:appointmentId', auth, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!recordingService.canAccess(appointment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        appointmentId: appointment._id,
+        recordingOptOut: appointment.recordingOptOut,
+        recordings: recordingService.listForAppointment(appointment)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get recordings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recordings'
+    });
+  }
+});
+
+// Get a short-lived download link for a recording
+router.get('/recordings/:appointmentId/:recordingId/link', auth, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!recordingService.canAccess(appointment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const link = await recordingService.getAccessLink(appointment, req.params.recordingId);
+
+    res.json({
+      success: true,
+      data: link
+    });
+
+  } catch (error) {
+    console.error('❌ Recording link error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get recording link'
+    });
+  }
+});
+
 module.exports = router;
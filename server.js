@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { CronJob } = require('cron');
 require('dotenv').config();
 
 // Import routes
@@ -13,9 +14,19 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const appointmentRoutes = require('./routes/appointments');
 const paymentRoutes = require('./routes/payments');
+const paymentWebhookRoutes = require('./routes/paymentWebhook');
+const dailyWebhookRoutes = require('./routes/dailyWebhook');
 const videoCallRoutes = require('./routes/videoCall');
 const adminRoutes = require('./routes/admin');
 
+// Import services
+const jobQueue = require('./services/jobs');
+const recordingService = require('./services/recordingService');
+const Appointment = require('./models/Appointment');
+const Invoice = require('./models/Invoice');
+const Package = require('./models/Package');
+const ConsultationType = require('./models/ConsultationType');
+
 // Import middleware
 const { auth } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
@@ -58,6 +69,11 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Razorpay and Daily webhooks are verified against the raw body, so they are
+// mounted before the JSON parser and outside the authenticated routers
+app.use('/api/payments/webhook', paymentWebhookRoutes);
+app.use('/api/video-call/webhook', dailyWebhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -81,6 +97,50 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/astrology
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   console.log(`📊 Database: ${mongoose.connection.name}`);
+
+  // Older bookings only have a date and time; the schedule queries need instants
+  Appointment.backfillInstants()
+    .then(({ updated, skipped }) => {
+      if (updated || skipped) {
+        console.log(`🕒 Appointment start times backfilled: ${updated} updated, ${skipped} with an unreadable time`);
+      }
+    })
+    .catch(err => {
+      console.error('❌ Appointment start time backfill failed:', err);
+    });
+
+  // Bookings must name a catalog package and consultation type; a deployment
+  // from before the catalog gets the ones it was already booking
+  Package.seedFromBookings()
+    .then(({ created, skipped }) => {
+      if (created.length) console.log(`📦 Packages added to the empty catalog: ${created.join(', ')}`);
+      if (skipped.length) console.warn(`⚠️ No past bookings to price these packages from; add them in the admin catalog: ${skipped.join(', ')}`);
+    })
+    .catch(err => {
+      console.error('❌ Package catalog seed failed:', err);
+    });
+  ConsultationType.seedFromBookings()
+    .then(created => {
+      if (created) console.log(`🔮 Consultation types added to the empty catalog: ${created}`);
+    })
+    .catch(err => {
+      console.error('❌ Consultation type catalog seed failed:', err);
+    });
+
+  // Invoices are no longer only for appointments, so the unique appointment
+  // index has to skip invoices without one
+  Invoice.syncIndexes().catch(err => {
+    console.error('❌ Invoice index update failed:', err);
+  });
+
+  // Recordings saved before appointments kept a list of them
+  recordingService.migrateLegacyRecordings()
+    .then(migrated => {
+      if (migrated) console.log(`🎥 Recordings moved to the recordings list: ${migrated}`);
+    })
+    .catch(err => {
+      console.error('❌ Recording migration failed:', err);
+    });
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -90,6 +150,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/astrology
 // Make io available to routes
 app.set('io', io);
 
+// Sweep the job queue every minute: room cleanup, join links, no-shows and
+// waitlist offer expiry. On serverless hosts /api/cron/sweep does the same.
+new CronJob('* * * * *', () => {
+  jobQueue.sweep({ io }).catch(err => {
+    console.error('❌ Job queue sweep failed:', err);
+  });
+}, null, true, process.env.TIMEZONE || 'Asia/Kolkata');
+
 // Test endpoint (should be early in middleware stack)
 app.get('/api/test', (req, res) => {
   res.json({ 
@@ -101,6 +169,21 @@ app.get('/api/test', (req, res) => {
   });
 });
 
+// Job queue sweep for schedulers outside this process, e.g. Vercel Cron
+app.get('/api/cron/sweep', async (req, res) => {
+  if (!process.env.CRON_SECRET || req.header('Authorization') !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, message: 'Not authorized' });
+  }
+
+  try {
+    const processed = await jobQueue.sweep({ io });
+    res.json({ success: true, data: { processed } });
+  } catch (error) {
+    console.error('❌ Job queue sweep failed:', error);
+    res.status(500).json({ success: false, message: 'Job queue sweep failed' });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   const healthStatus = {
@@ -0,0 +1,137 @@
+const Coupon = require('../models/Coupon');
+const Appointment = require('../models/Appointment');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+
+const PAID_STATUSES = ['completed', 'partially-refunded', 'refunded'];
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class CouponService {
+  // Check a code against every rule of its coupon for this client and price.
+  // Returns { coupon, discount, amount } with the amount left to pay, or throws a 400.
+  async validate(code, { userId, amount, currency = DEFAULT_CURRENCY, packageSlug, appointmentId }) {
+    const coupon = await Coupon.findOne({ code: String(code || '').trim().toUpperCase(), isActive: true });
+    if (!coupon) {
+      throw couponError('Invalid coupon code');
+    }
+
+    const now = new Date();
+    if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+      throw couponError('This coupon is not valid at the moment');
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      throw couponError('This coupon has reached its usage limit');
+    }
+
+    if (coupon.packages.length > 0 && !coupon.packages.includes(packageSlug)) {
+      throw couponError('This coupon is not valid for the selected package');
+    }
+
+    // Amounts on the coupon are in its own currency, so they can only be
+    // compared with bookings priced in the same one
+    const sameCurrency = coupon.currency === currency;
+    if (!sameCurrency && (coupon.discountType === 'flat' || coupon.minAmount > 0)) {
+      throw couponError(`This coupon is only valid on bookings in ${coupon.currency}`);
+    }
+
+    if (amount < coupon.minAmount) {
+      throw couponError(`This coupon needs a booking of at least ${formatMoney(coupon.minAmount, coupon.currency)}`);
+    }
+
+    const userRedemptions = await Appointment.countDocuments({
+      user: userId,
+      'coupon.code': coupon.code,
+      'coupon.redeemedAt': { $ne: null }
+    });
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon');
+    }
+
+    if (coupon.firstBookingOnly) {
+      const hasPaidBooking = await Appointment.exists({
+        user: userId,
+        paymentStatus: { $in: PAID_STATUSES },
+        ...(appointmentId && { _id: { $ne: appointmentId } })
+      });
+      if (hasPaidBooking) {
+        throw couponError('This coupon is only valid on your first booking');
+      }
+    }
+
+    // A percentage coupon's maximum discount is meaningless in another currency
+    const discount = sameCurrency
+      ? coupon.calculateDiscount(amount)
+      : Math.round(amount * coupon.discountValue) / 100;
+    return { coupon, discount, amount: Math.round((amount - discount) * 100) / 100 };
+  }
+
+  // Count the coupon as used once the appointment it was applied to is paid.
+  // Safe to call more than once for the same appointment. Throws a 400 when
+  // the coupon ran out, or the client used up their share of it, after the
+  // booking was validated.
+  async redeem(appointment) {
+    if (!appointment.coupon?.code) return false;
+
+    const redeemedAt = new Date();
+    const result = await Appointment.updateOne(
+      { _id: appointment._id, 'coupon.code': appointment.coupon.code, 'coupon.redeemedAt': null },
+      { 'coupon.redeemedAt': redeemedAt }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    // The limits are checked again here, as two bookings can both pass
+    // validate() before either is paid
+    const unredeem = async (message) => {
+      await Appointment.updateOne({ _id: appointment._id }, { 'coupon.redeemedAt': null });
+      throw couponError(message);
+    };
+
+    const coupon = await Coupon.findById(appointment.coupon.couponId).select('perUserLimit firstBookingOnly');
+    if (coupon) {
+      // This booking is already marked, so it is part of the count
+      const userRedemptions = await Appointment.countDocuments({
+        user: appointment.user,
+        'coupon.code': appointment.coupon.code,
+        'coupon.redeemedAt': { $ne: null }
+      });
+      if (userRedemptions > coupon.perUserLimit) {
+        await unredeem('You have already used this coupon');
+      }
+
+      if (coupon.firstBookingOnly) {
+        const hasPaidBooking = await Appointment.exists({
+          user: appointment.user,
+          paymentStatus: { $in: PAID_STATUSES },
+          _id: { $ne: appointment._id }
+        });
+        if (hasPaidBooking) {
+          await unredeem('This coupon is only valid on your first booking');
+        }
+      }
+    }
+
+    const counted = await Coupon.updateOne(
+      {
+        _id: appointment.coupon.couponId,
+        $or: [
+          { usageLimit: { $in: [null, 0] } },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } }
+    );
+    if (counted.modifiedCount === 0) {
+      await unredeem('This coupon has reached its usage limit');
+    }
+
+    appointment.coupon.redeemedAt = redeemedAt;
+    return true;
+  }
+}
+
+module.exports = new CouponService();
@@ -1,8 +1,11 @@
+const crypto = require('crypto');
 const axios = require('axios');
 
 class DailyService {
   constructor() {
     this.apiKey = process.env.DAILY_API_KEY;
+    // Base64 HMAC secret returned when the webhook was registered with Daily
+    this.webhookSecret = process.env.DAILY_WEBHOOK_SECRET;
     this.baseURL = 'https://api.daily.co/v1';
     
     this.client = axios.create({
@@ -14,21 +17,25 @@ class DailyService {
     });
   }
 
-  // Create a new room for consultation
-  async createRoom(appointmentId, expiryTime = null) {
+  // Create a new room for consultation, open only between notBefore and expiresAt
+  async createRoom(appointmentId, { notBefore = null, expiresAt = null, enableRecording = true } = {}) {
     try {
       const roomName = `consultation-${appointmentId}`;
-      const expiresAt = expiryTime || new Date(Date.now() + 2 * 60 * 60 * 1000); // 2 hours from now
+      expiresAt = expiresAt || new Date(Date.now() + 2 * 60 * 60 * 1000); // 2 hours from now
       
       const roomConfig = {
         name: roomName,
         properties: {
+          // Participants need a meeting token to get in
+          privacy: 'private',
           start_video_off: false,
           start_audio_off: false,
+          ...(notBefore && { nbf: Math.floor(notBefore.getTime() / 1000) }),
           exp: Math.floor(expiresAt.getTime() / 1000),
           enable_chat: true,
           enable_screenshare: true,
-          enable_recording: 'cloud',
+          // Off when the client opted out of recording
+          enable_recording: enableRecording ? 'cloud' : false,
           max_participants: 2, // Client + Astrologer
           lang: 'en'
         }
@@ -49,6 +56,29 @@ class DailyService {
     }
   }
 
+  // Move an existing room's open window, e.g. after a reschedule
+  async updateRoomWindow(roomName, { notBefore, expiresAt }) {
+    try {
+      const response = await this.client.post(`/rooms/${roomName}`, {
+        properties: {
+          nbf: Math.floor(notBefore.getTime() / 1000),
+          exp: Math.floor(expiresAt.getTime() / 1000)
+        }
+      });
+
+      console.log('✅ Daily.co room window updated:', roomName);
+      return {
+        roomName: response.data.name,
+        roomUrl: response.data.url,
+        config: response.data.config
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to update Daily.co room:', error.response?.data || error.message);
+      throw new Error('Failed to update video call room');
+    }
+  }
+
   // Get room info
   async getRoomInfo(roomName) {
     try {
@@ -60,18 +90,82 @@ class DailyService {
     }
   }
 
-  // Delete room after consultation
+  // Delete room after consultation. A room that no longer exists counts as deleted.
   async deleteRoom(roomName) {
     try {
       await this.client.delete(`/rooms/${roomName}`);
       console.log('✅ Daily.co room deleted:', roomName);
     } catch (error) {
+      if (error.response?.status === 404) return;
       console.error('❌ Failed to delete room:', error.response?.data || error.message);
+      throw new Error('Failed to delete video call room');
+    }
+  }
+
+  // All rooms in the Daily.co account, following the pages of the list
+  async listRooms() {
+    const rooms = [];
+    let startingAfter;
+    try {
+      for (;;) {
+        const response = await this.client.get('/rooms', {
+          params: { limit: 100, ...(startingAfter && { starting_after: startingAfter }) }
+        });
+        const page = response.data.data || [];
+        rooms.push(...page);
+        if (page.length < 100) return rooms;
+        startingAfter = page[page.length - 1].id;
+      }
+    } catch (error) {
+      console.error('❌ Failed to list rooms:', error.response?.data || error.message);
+      throw new Error('Failed to list video call rooms');
+    }
+  }
+
+  // Temporary download link of a cloud recording
+  async getRecordingAccessLink(recordingId, { validForSeconds = 3600 } = {}) {
+    try {
+      const response = await this.client.get(`/recordings/${recordingId}/access-link`, {
+        params: { valid_for_secs: validForSeconds }
+      });
+      return {
+        url: response.data.download_link,
+        expiresAt: new Date(response.data.expires * 1000)
+      };
+    } catch (error) {
+      console.error('❌ Failed to get recording link:', error.response?.data || error.message);
+      throw new Error('Failed to get recording link');
     }
   }
 
-  // Generate meeting token for participant
-  async createMeetingToken(roomName, userId, userRole = 'participant') {
+  // Delete a cloud recording. One that no longer exists counts as deleted.
+  async deleteRecording(recordingId) {
+    try {
+      await this.client.delete(`/recordings/${recordingId}`);
+      console.log('✅ Daily.co recording deleted:', recordingId);
+    } catch (error) {
+      if (error.response?.status === 404) return;
+      console.error('❌ Failed to delete recording:', error.response?.data || error.message);
+      throw new Error('Failed to delete recording');
+    }
+  }
+
+  // Daily signs "timestamp.body" with HMAC-SHA256, keyed by the base64-decoded secret
+  isValidWebhookSignature(rawBody, timestamp, signature) {
+    if (!this.webhookSecret || !timestamp || !signature) return false;
+
+    const expected = crypto
+      .createHmac('sha256', Buffer.from(this.webhookSecret, 'base64'))
+      .update(`${timestamp}.${rawBody}`)
+      .digest('base64');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  // Generate meeting token for participant, valid until expiresAt
+  async createMeetingToken(roomName, userId, userRole = 'participant', { expiresAt = null, enableRecording = true } = {}) {
     try {
       const tokenConfig = {
         properties: {
@@ -80,7 +174,8 @@ class DailyService {
           is_owner: userRole === 'admin',
           start_video_off: false,
           start_audio_off: false,
-          enable_recording: userRole === 'admin'
+          enable_recording: userRole === 'admin' && enableRecording,
+          ...(expiresAt && { exp: Math.floor(expiresAt.getTime() / 1000) })
         }
       };
 
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const GiftVoucher = require('../models/GiftVoucher');
+const Package = require('../models/Package');
+const User = require('../models/User');
+const { sendEmail } = require('../utils/sendEmail');
+const { getUserCurrency, formatMoney } = require('../utils/currency');
+const { formatInZone } = require('../utils/timezone');
+
+// No 0/O or 1/I, so codes survive being read out or typed in
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const giftError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class GiftVoucherService {
+  constructor() {
+    this.validityDays = parseInt(process.env.GIFT_VOUCHER_VALIDITY_DAYS, 10) || 365;
+  }
+
+  generateCode() {
+    const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return `GIFT-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+  }
+
+  // Start a purchase of the package for the recipient, priced in the buyer's currency.
+  // The voucher gets its code only once paid.
+  async createVoucher(purchaserId, { package: packageSlug, recipientName, recipientEmail, message }) {
+    const pkg = await Package.findOne({ slug: String(packageSlug || '').toLowerCase(), isActive: true });
+    if (!pkg) {
+      throw giftError('Package not found or no longer available');
+    }
+
+    const purchaser = await User.findById(purchaserId);
+    const packageSnapshot = pkg.toSnapshot(getUserCurrency(purchaser));
+
+    return GiftVoucher.create({
+      purchaser: purchaserId,
+      recipientName,
+      recipientEmail,
+      message,
+      package: pkg.slug,
+      packageSnapshot,
+      amount: packageSnapshot.price,
+      currency: packageSnapshot.currency
+    });
+  }
+
+  // Mark the voucher paid, give it a code and send it to the recipient.
+  // Returns false if the payment was already recorded.
+  async completePurchase(voucher, payment) {
+    const paidAt = new Date((payment.created_at || Date.now() / 1000) * 1000);
+    const expiresAt = new Date(paidAt.getTime() + this.validityDays * 24 * 60 * 60 * 1000);
+
+    // Retry in the unlikely case the random code is already taken
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const updated = await GiftVoucher.findOneAndUpdate(
+          { _id: voucher._id, status: 'pending' },
+          { status: 'paid', code: this.generateCode(), paymentId: payment.id, paidAt, expiresAt },
+          { new: true }
+        );
+        if (!updated) return false;
+
+        voucher.set(updated.toObject());
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 2) throw error;
+      }
+    }
+
+    const purchaser = await User.findById(voucher.purchaser);
+    await this.notifyRecipient(voucher, purchaser);
+    await this.notifyPurchaser(voucher, purchaser);
+    return true;
+  }
+
+  async notifyRecipient(voucher, purchaser) {
+    const from = purchaser ? purchaser.fullName : 'Someone';
+
+    try {
+      await sendEmail({
+        email: voucher.recipientEmail,
+        subject: `${from} has gifted you an astrology consultation`,
+        message: `
+          Dear ${voucher.recipientName},
+
+          ${from} has gifted you a ${voucher.packageSnapshot.name} consultation (${voucher.packageSnapshot.duration} minutes) with ${process.env.ASTROLOGER_NAME}.
+          ${voucher.message ? `"${voucher.message}"` : ''}
+
+          Your gift code: ${voucher.code}
+
+          Create your account with this email address at ${process.env.FRONTEND_URL}/register, then enter the code when you book.
+          The code is valid until ${formatInZone(voucher.expiresAt).date}.
+
+          Best regards,
+          ${process.env.ASTROLOGER_NAME}
+        `
+      });
+    } catch (error) {
+      console.error(`❌ Gift voucher email for ${voucher._id} failed:`, error.message);
+    }
+  }
+
+  async notifyPurchaser(voucher, purchaser) {
+    if (!purchaser) return;
+
+    try {
+      await sendEmail({
+        email: purchaser.email,
+        subject: 'Your gift consultation has been sent',
+        message: `
+          Dear ${purchaser.firstName},
+
+          Thank you for your purchase of ${formatMoney(voucher.amount, voucher.currency)}.
+          We have emailed the gift code for a ${voucher.packageSnapshot.name} consultation to ${voucher.recipientName} (${voucher.recipientEmail}).
+
+          Best regards,
+          ${process.env.ASTROLOGER_NAME}
+        `
+      });
+    } catch (error) {
+      console.error(`❌ Gift purchase email for ${voucher._id} failed:`, error.message);
+    }
+  }
+
+  // The paid voucher a client can book the package with, or a 400 explaining why not
+  async findRedeemable(code, user, packageSlug) {
+    const voucher = await GiftVoucher.findOne({ code: String(code || '').trim().toUpperCase() });
+    if (!voucher || voucher.status === 'pending') {
+      throw giftError('Invalid gift code');
+    }
+    if (voucher.status === 'redeemed') {
+      throw giftError('This gift code has already been used');
+    }
+    if (voucher.expiresAt < new Date()) {
+      throw giftError('This gift code has expired');
+    }
+    if (voucher.recipientEmail !== user.email) {
+      throw giftError('This gift code was sent to a different email address', 403);
+    }
+    if (voucher.package !== packageSlug) {
+      throw giftError(`This gift code is for the ${voucher.packageSnapshot.name} package`);
+    }
+    return voucher;
+  }
+
+  // Claim the voucher for the appointment. Only one booking can win a voucher.
+  async redeem(voucher, appointment) {
+    const redeemedAt = new Date();
+    const result = await GiftVoucher.updateOne(
+      { _id: voucher._id, status: 'paid' },
+      { status: 'redeemed', redeemedBy: appointment.user, redeemedAt, appointment: appointment._id }
+    );
+    if (result.modifiedCount === 0) {
+      throw giftError('This gift code has already been used');
+    }
+
+    appointment.giftVoucher = voucher._id;
+    appointment.paymentStatus = 'completed';
+    appointment.paidAt = redeemedAt;
+    appointment.status = 'confirmed';
+  }
+
+  // Make the voucher usable again, e.g. when its booking is cancelled in time
+  async release(appointment) {
+    const result = await GiftVoucher.updateOne(
+      { _id: appointment.giftVoucher, appointment: appointment._id, status: 'redeemed' },
+      { status: 'paid', $unset: { redeemedBy: 1, redeemedAt: 1, appointment: 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new GiftVoucherService();
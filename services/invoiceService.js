@@ -0,0 +1,392 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const { sendEmail, emailTemplates } = require('../utils/sendEmail');
+const { amountInWords } = require('../utils/amountInWords');
+const { formatInZone } = require('../utils/timezone');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+// GST state codes, used for the place of supply
+const STATE_CODES = {
+  'jammu and kashmir': '01', 'himachal pradesh': '02', 'punjab': '03', 'chandigarh': '04',
+  'uttarakhand': '05', 'haryana': '06', 'delhi': '07', 'rajasthan': '08', 'uttar pradesh': '09',
+  'bihar': '10', 'sikkim': '11', 'arunachal pradesh': '12', 'nagaland': '13', 'manipur': '14',
+  'mizoram': '15', 'tripura': '16', 'meghalaya': '17', 'assam': '18', 'west bengal': '19',
+  'jharkhand': '20', 'odisha': '21', 'chhattisgarh': '22', 'madhya pradesh': '23', 'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26', 'maharashtra': '27', 'karnataka': '29',
+  'goa': '30', 'lakshadweep': '31', 'kerala': '32', 'tamil nadu': '33', 'puducherry': '34',
+  'andaman and nicobar islands': '35', 'telangana': '36', 'andhra pradesh': '37', 'ladakh': '38'
+};
+
+// How long a call may hold an invoice while numbering it before another call
+// takes over
+const NUMBERING_TIMEOUT_MS = 60 * 1000;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const getStateCode = (state) => STATE_CODES[String(state || '').trim().toLowerCase().replace(/&/g, 'and')] || '';
+
+const formatAmount = (amount, currency) => amount.toLocaleString(currency === 'INR' ? 'en-IN' : 'en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+class InvoiceService {
+  constructor() {
+    this.gstRate = Number(process.env.GST_RATE || 18);
+    this.sacCode = process.env.INVOICE_SAC_CODE || '999799';
+    this.prefix = process.env.INVOICE_PREFIX || 'INV';
+    this.seller = {
+      name: process.env.BUSINESS_LEGAL_NAME || process.env.ASTROLOGER_NAME,
+      gstin: process.env.BUSINESS_GSTIN,
+      address: process.env.BUSINESS_ADDRESS,
+      state: process.env.BUSINESS_STATE,
+      stateCode: getStateCode(process.env.BUSINESS_STATE)
+    };
+  }
+
+  // Indian financial year (April to March) of a date, e.g. "2025-26"
+  getFinancialYear(date) {
+    const [year, month] = formatInZone(date).date.split('-').map(Number);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+  }
+
+  // Numbers run without gaps within each financial year
+  getCounterName(issuedAt) {
+    return `invoice-${this.getFinancialYear(issuedAt)}`;
+  }
+
+  async nextInvoiceNumber(issuedAt) {
+    const seq = await Counter.next(this.getCounterName(issuedAt));
+    return `${this.prefix}/${this.getFinancialYear(issuedAt)}/${String(seq).padStart(5, '0')}`;
+  }
+
+  // The billing address when the client has given one, otherwise their place of birth
+  getBuyer(client) {
+    const billing = client.billingAddress || {};
+    const place = billing.state ? billing : client.placeOfBirth || {};
+
+    return {
+      name: client.fullName,
+      email: client.email,
+      phone: client.phone,
+      address: [billing.line1, billing.line2, place.city, billing.postalCode].filter(Boolean).join(', '),
+      state: place.state,
+      stateCode: getStateCode(place.state),
+      country: place.country || 'India',
+      gstin: billing.gstin
+    };
+  }
+
+  // Split the GST included in a price. Supplies within the seller's state pay
+  // CGST and SGST, everything else IGST. Exports carry no GST at all.
+  buildTaxBreakup(total, intraState, isExport = false) {
+    if (isExport) {
+      return { taxableAmount: total, gstRate: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0, total };
+    }
+
+    const taxableAmount = round2(total / (1 + this.gstRate / 100));
+    const totalTax = round2(total - taxableAmount);
+    const cgst = intraState ? round2(totalTax / 2) : 0;
+
+    return {
+      taxableAmount,
+      gstRate: this.gstRate,
+      cgst,
+      sgst: intraState ? round2(totalTax - cgst) : 0,
+      igst: intraState ? 0 : totalTax,
+      totalTax,
+      total
+    };
+  }
+
+  // Invoice fields for one item sold to the client, at a price that includes GST
+  buildInvoice(client, { amount, currency = DEFAULT_CURRENCY, paymentId, issuedAt, description }) {
+    const buyer = this.getBuyer(client);
+    // Sales to clients abroad, paid in foreign currency, are zero-rated exports
+    const isExport = buyer.country.toLowerCase() !== 'india' || currency !== DEFAULT_CURRENCY;
+    const intraState = !isExport && Boolean(buyer.stateCode) && buyer.stateCode === this.seller.stateCode;
+    const breakup = this.buildTaxBreakup(amount, intraState, isExport);
+
+    return {
+      user: client._id,
+      paymentId,
+      issuedAt: issuedAt || new Date(),
+      seller: this.seller,
+      buyer,
+      placeOfSupply: !isExport && buyer.stateCode ? `${buyer.state} (${buyer.stateCode})` : buyer.country,
+      items: [{
+        description,
+        sacCode: this.sacCode,
+        quantity: 1,
+        taxableValue: breakup.taxableAmount
+      }],
+      ...breakup,
+      isExport,
+      currency,
+      amountInWords: amountInWords(amount, currency)
+    };
+  }
+
+  buildAppointmentInvoice(appointment, client) {
+    const packageName = appointment.packageSnapshot?.name || appointment.package;
+
+    return {
+      appointment: appointment._id,
+      ...this.buildInvoice(client, {
+        amount: appointment.amount,
+        currency: appointment.currency || appointment.packageSnapshot?.currency,
+        paymentId: appointment.paymentId,
+        issuedAt: appointment.paidAt,
+        description: `${packageName} astrology consultation (${appointment.duration} minutes) on ${appointment.schedule.astrologer.date}`
+      })
+    };
+  }
+
+  buildGiftVoucherInvoice(voucher, client) {
+    const { name, duration } = voucher.packageSnapshot;
+
+    return {
+      giftVoucher: voucher._id,
+      ...this.buildInvoice(client, {
+        amount: voucher.amount,
+        currency: voucher.currency,
+        paymentId: voucher.paymentId,
+        issuedAt: voucher.paidAt,
+        description: `Gift voucher ${voucher.code}: ${name} astrology consultation (${duration} minutes) for ${voucher.recipientName}`
+      })
+    };
+  }
+
+  buildSubscriptionInvoice(subscription, charge, client) {
+    const { name, sessionsPerCycle, currency } = subscription.planSnapshot;
+    const period = [charge.periodStart, charge.periodEnd]
+      .filter(Boolean)
+      .map(date => formatInZone(date).date)
+      .join(' to ');
+
+    return {
+      subscription: subscription._id,
+      ...this.buildInvoice(client, {
+        amount: charge.amount,
+        currency,
+        paymentId: charge.paymentId,
+        issuedAt: charge.chargedAt,
+        description: `${name} membership, ${sessionsPerCycle} consultation${sessionsPerCycle === 1 ? '' : 's'}${period ? ` (${period})` : ''}`
+      })
+    };
+  }
+
+  // Create the invoice of a sale, found by `key`, if it has none yet. `build`
+  // returns its fields for the client. Returns the invoice and whether this
+  // call issued it.
+  async createInvoice(key, clientId, build) {
+    let invoice = await Invoice.findOne(key);
+    if (invoice && invoice.invoiceNumber) return { invoice, created: false };
+
+    if (!invoice) {
+      const client = await User.findById(clientId);
+      if (!client) throw new Error(`Client ${clientId} not found`);
+
+      // The unique index on the sale lets only one of two concurrent calls
+      // (checkout and webhook) create the invoice
+      try {
+        invoice = await Invoice.create(build(client));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        invoice = await Invoice.findOne(key);
+      }
+    }
+
+    // Only the call that claims the invoice takes a number, so two calls for
+    // one sale never leave a gap. A claim left by a call that died is taken
+    // over after a minute.
+    const claimedAt = new Date();
+    const claimed = await Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        invoiceNumber: { $exists: false },
+        $or: [
+          { numberingAt: null },
+          { numberingAt: { $lte: new Date(claimedAt.getTime() - NUMBERING_TIMEOUT_MS) } }
+        ]
+      },
+      { numberingAt: claimedAt },
+      { new: true }
+    );
+    if (!claimed) return { invoice: await Invoice.findOne(key), created: false };
+
+    const invoiceNumber = await this.nextInvoiceNumber(claimed.issuedAt);
+    const numbered = await Invoice.findOneAndUpdate(
+      { _id: claimed._id, numberingAt: claimedAt, invoiceNumber: { $exists: false } },
+      { invoiceNumber, $unset: { numberingAt: 1 } },
+      { new: true }
+    );
+    if (!numbered) {
+      // Another call took the claim over meanwhile; the number is voided
+      // rather than silently dropped
+      await Counter.void(this.getCounterName(claimed.issuedAt), invoiceNumber);
+      console.error(`❌ Invoice number ${invoiceNumber} voided: invoice ${claimed._id} was numbered by another call`);
+      return { invoice: await Invoice.findOne(key), created: false };
+    }
+    return { invoice: numbered, created: true };
+  }
+
+  renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { seller, buyer, currency } = invoice;
+      const money = (amount) => `${currency} ${formatAmount(amount, currency)}`;
+
+      doc.fontSize(18).text('TAX INVOICE', { align: 'center' }).moveDown();
+
+      doc.fontSize(11).text(seller.name || '');
+      doc.fontSize(9)
+        .text(seller.address || '')
+        .text(`State: ${seller.state || ''}${seller.stateCode ? ` (${seller.stateCode})` : ''}`)
+        .text(`GSTIN: ${seller.gstin || ''}`)
+        .moveDown();
+
+      doc.text(`Invoice No: ${invoice.invoiceNumber}`)
+        .text(`Invoice Date: ${formatInZone(invoice.issuedAt).date}`)
+        .text(`Payment ID: ${invoice.paymentId || ''}`)
+        .text(`Place of Supply: ${invoice.placeOfSupply}`)
+        .moveDown();
+
+      doc.fontSize(10).text('Bill To:');
+      doc.fontSize(9)
+        .text(buyer.name || '')
+        .text(buyer.address || '')
+        .text([buyer.state, buyer.country].filter(Boolean).join(', '))
+        .text(buyer.email || '');
+      if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+      doc.moveDown();
+
+      const left = doc.page.margins.left;
+      const columns = { description: left, sac: left + 270, quantity: left + 340, value: left + 390 };
+      const row = (y, description, sac, quantity, value) => {
+        doc.text(description, columns.description, y, { width: 260 })
+          .text(sac, columns.sac, y)
+          .text(quantity, columns.quantity, y)
+          .text(value, columns.value, y, { width: 105, align: 'right' });
+      };
+
+      let y = doc.y;
+      doc.fontSize(9);
+      row(y, 'Description', 'SAC', 'Qty', 'Taxable Value');
+      y += 16;
+      invoice.items.forEach(item => {
+        row(y, item.description, item.sacCode, String(item.quantity), money(item.taxableValue));
+        y = Math.max(doc.y, y + 16);
+      });
+
+      y += 10;
+      const totals = [['Taxable Amount', invoice.taxableAmount]];
+      if (invoice.isExport) {
+        totals.push(['GST (export of services, zero-rated)', 0]);
+      } else if (invoice.igst > 0) {
+        totals.push([`IGST @ ${invoice.gstRate}%`, invoice.igst]);
+      } else {
+        totals.push([`CGST @ ${invoice.gstRate / 2}%`, invoice.cgst]);
+        totals.push([`SGST @ ${invoice.gstRate / 2}%`, invoice.sgst]);
+      }
+      totals.push(['Total', invoice.total]);
+
+      totals.forEach(([label, amount]) => {
+        doc.text(label, columns.sac, y).text(money(amount), columns.value, y, { width: 105, align: 'right' });
+        y += 16;
+      });
+
+      doc.text(`Amount in words: ${invoice.amountInWords}`, left, y + 10);
+      doc.moveDown(2).fontSize(8).text('This is a computer generated invoice and does not require a signature.', left);
+
+      doc.end();
+    });
+  }
+
+  // Email a newly issued invoice to the client with its PDF attached
+  async emailInvoice(invoice, client, content) {
+    const pdf = await this.renderPdf(invoice);
+
+    await sendEmail({
+      email: client.email,
+      subject: content.subject,
+      html: content.html,
+      attachments: [{
+        filename: `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }]
+    });
+  }
+
+  // Issue the invoice for a newly paid appointment and email it to the client.
+  // Never throws, so a payment is never rejected because of its invoice.
+  async issueInvoice(appointment) {
+    // Gift and membership bookings were invoiced when the voucher or membership was paid for
+    if (appointment.giftVoucher || appointment.subscription) return null;
+
+    try {
+      const { invoice, created } = await this.createInvoice(
+        { appointment: appointment._id },
+        appointment.user,
+        client => this.buildAppointmentInvoice(appointment, client)
+      );
+      if (!created) return invoice;
+
+      const client = await User.findById(appointment.user);
+      await this.emailInvoice(invoice, client, emailTemplates.paymentConfirmation(appointment, client, invoice));
+      return invoice;
+    } catch (error) {
+      console.error(`❌ Invoice for appointment ${appointment._id} failed:`, error);
+      return null;
+    }
+  }
+
+  // Issue the invoice for a paid gift voucher to its buyer. Never throws.
+  async issueGiftVoucherInvoice(voucher) {
+    try {
+      const { invoice, created } = await this.createInvoice(
+        { giftVoucher: voucher._id },
+        voucher.purchaser,
+        client => this.buildGiftVoucherInvoice(voucher, client)
+      );
+      if (!created) return invoice;
+
+      const client = await User.findById(voucher.purchaser);
+      await this.emailInvoice(invoice, client, emailTemplates.purchaseInvoice(invoice, client));
+      return invoice;
+    } catch (error) {
+      console.error(`❌ Invoice for gift voucher ${voucher._id} failed:`, error);
+      return null;
+    }
+  }
+
+  // Issue the invoice for one charge of a membership. Never throws.
+  async issueSubscriptionInvoice(subscription, charge) {
+    try {
+      const { invoice, created } = await this.createInvoice(
+        { subscription: subscription._id, paymentId: charge.paymentId },
+        subscription.user,
+        client => this.buildSubscriptionInvoice(subscription, charge, client)
+      );
+      if (!created) return invoice;
+
+      const client = await User.findById(subscription.user);
+      await this.emailInvoice(invoice, client, emailTemplates.purchaseInvoice(invoice, client));
+      return invoice;
+    } catch (error) {
+      console.error(`❌ Invoice for membership ${subscription._id} charge ${charge.paymentId} failed:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new InvoiceService();
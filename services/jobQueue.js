@@ -0,0 +1,118 @@
+const Job = require('../models/Job');
+
+const MINUTE = 60 * 1000;
+
+// A durable job queue on MongoDB. Jobs are claimed one at a time with an atomic
+// update, so several server instances can sweep the same queue.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.recurring = [];
+    // A running job not finished after this long is assumed to have crashed
+    this.lockMinutes = parseInt(process.env.JOB_LOCK_MINUTES, 10) || 10;
+    this.batchSize = parseInt(process.env.JOB_BATCH_SIZE, 10) || 20;
+  }
+
+  register(name, handler) {
+    this.handlers.set(name, handler);
+  }
+
+  // Queue a handler to run on every sweep at most once per interval
+  every(minutes, name) {
+    this.recurring.push({ minutes, name });
+  }
+
+  // Queue a job. With a uniqueKey, a job with the same key is not queued twice.
+  async enqueue(name, payload = {}, { runAt = new Date(), maxAttempts, uniqueKey } = {}) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`No handler registered for job "${name}"`);
+    }
+
+    const fields = { name, payload, runAt, ...(maxAttempts && { maxAttempts }) };
+    if (!uniqueKey) return Job.create(fields);
+
+    try {
+      return await Job.findOneAndUpdate(
+        { uniqueKey },
+        { $setOnInsert: { ...fields, uniqueKey } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two instances queued the same job at once
+      if (error.code === 11000) return Job.findOne({ uniqueKey });
+      throw error;
+    }
+  }
+
+  claimNext(now = new Date()) {
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - this.lockMinutes * MINUTE) } }
+        ]
+      },
+      { status: 'running', lockedAt: now, $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Try again after 1, 2, 4, 8... minutes, up to an hour
+  getRetryDelay(attempts) {
+    return Math.min(2 ** (attempts - 1), 60) * MINUTE;
+  }
+
+  async run(job, context) {
+    try {
+      const handler = this.handlers.get(job.name);
+      if (!handler) throw new Error(`No handler registered for job "${job.name}"`);
+
+      await handler(job.payload || {}, context);
+      await Job.updateOne(
+        { _id: job._id },
+        { status: 'completed', finishedAt: new Date(), $unset: { lockedAt: 1, lastError: 1 } }
+      );
+      return true;
+    } catch (error) {
+      const failed = job.attempts >= job.maxAttempts;
+      console.error(`❌ Job ${job.name} (${job._id}) attempt ${job.attempts} failed:`, error.message);
+
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          status: failed ? 'failed' : 'pending',
+          lastError: error.message,
+          ...(failed
+            ? { finishedAt: new Date() }
+            : { runAt: new Date(Date.now() + this.getRetryDelay(job.attempts)) }),
+          $unset: { lockedAt: 1 }
+        }
+      );
+      return false;
+    }
+  }
+
+  // Run the jobs that are due, a batch at a time
+  async runDue(context = {}) {
+    let processed = 0;
+    while (processed < this.batchSize) {
+      const job = await this.claimNext();
+      if (!job) break;
+      await this.run(job, context);
+      processed += 1;
+    }
+    return processed;
+  }
+
+  // Queue the recurring jobs whose interval has come round, then run what is due.
+  // Called every minute by the cron sweeper and by the serverless cron endpoint.
+  async sweep(context = {}, now = new Date()) {
+    for (const { minutes, name } of this.recurring) {
+      const slot = Math.floor(now.getTime() / (minutes * MINUTE));
+      await this.enqueue(name, {}, { runAt: now, maxAttempts: 1, uniqueKey: `${name}:${slot}` });
+    }
+    return this.runDue(context);
+  }
+}
+
+module.exports = new JobQueue();
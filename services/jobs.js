@@ -0,0 +1,21 @@
+const jobQueue = require('./jobQueue');
+const videoRoomService = require('./videoRoomService');
+const recordingService = require('./recordingService');
+const waitlistService = require('./waitlistService');
+
+// Handlers get the job's payload and the sweeper's context ({ io })
+jobQueue.register('delete-room', payload => videoRoomService.deleteRoom(payload));
+jobQueue.register('send-join-links', () => videoRoomService.sendJoinLinks());
+jobQueue.register('mark-no-shows', () => videoRoomService.markNoShows());
+jobQueue.register('reconcile-rooms', () => videoRoomService.reconcileRooms());
+jobQueue.register('delete-expired-recordings', () => recordingService.deleteExpired());
+// Hand expired waitlist offers on to the next client
+jobQueue.register('expire-waitlist-offers', (payload, { io }) => waitlistService.expireOffers(io));
+
+jobQueue.every(1, 'send-join-links');
+jobQueue.every(5, 'expire-waitlist-offers');
+jobQueue.every(15, 'mark-no-shows');
+jobQueue.every(60, 'reconcile-rooms');
+jobQueue.every(60, 'delete-expired-recordings');
+
+module.exports = jobQueue;
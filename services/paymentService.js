@@ -0,0 +1,918 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const schedulingService = require('./schedulingService');
+const invoiceService = require('./invoiceService');
+const couponService = require('./couponService');
+const walletService = require('./walletService');
+const videoRoomService = require('./videoRoomService');
+const giftVoucherService = require('./giftVoucherService');
+const subscriptionService = require('./subscriptionService');
+const GiftVoucher = require('../models/GiftVoucher');
+const Subscription = require('../models/Subscription');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+const { sendEmail } = require('../utils/sendEmail');
+
+// Talks to the Razorpay REST API. RAZORPAY_API_URL can point it at a local
+// fake server; any object with the same methods can replace it via setGateway.
+class RazorpayGateway {
+  constructor() {
+    this.baseURL = process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1';
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      auth: {
+        username: process.env.RAZORPAY_KEY_ID,
+        password: process.env.RAZORPAY_KEY_SECRET
+      },
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const response = await this.client.post('/orders', { amount, currency, receipt, notes });
+    return response.data;
+  }
+
+  async fetchOrder(orderId) {
+    const response = await this.client.get(`/orders/${orderId}`);
+    return response.data;
+  }
+
+  async fetchPayment(paymentId) {
+    const response = await this.client.get(`/payments/${paymentId}`);
+    return response.data;
+  }
+
+  async createRefund(paymentId, { amount, notes }) {
+    const response = await this.client.post(`/payments/${paymentId}/refund`, { amount, notes });
+    return response.data;
+  }
+
+  async createPlan({ period, interval, item, notes }) {
+    const response = await this.client.post('/plans', { period, interval, item, notes });
+    return response.data;
+  }
+
+  async createSubscription({ planId, totalCount, notes }) {
+    const response = await this.client.post('/subscriptions', {
+      plan_id: planId,
+      total_count: totalCount,
+      customer_notify: 1,
+      notes
+    });
+    return response.data;
+  }
+
+  async fetchSubscription(subscriptionId) {
+    const response = await this.client.get(`/subscriptions/${subscriptionId}`);
+    return response.data;
+  }
+
+  async cancelSubscription(subscriptionId, { atCycleEnd }) {
+    const response = await this.client.post(`/subscriptions/${subscriptionId}/cancel`, {
+      cancel_at_cycle_end: atCycleEnd ? 1 : 0
+    });
+    return response.data;
+  }
+}
+
+// Parse REFUND_POLICY, e.g. "24:100,2:50": a full refund for cancellations
+// 24 or more hours ahead, half for 2 or more hours ahead, nothing after that
+const parseRefundPolicy = (policy = '24:100,2:50') => {
+  return policy
+    .split(',')
+    .map(tier => tier.split(':').map(Number))
+    .filter(([hours, percent]) => hours >= 0 && percent >= 0 && percent <= 100)
+    .map(([hours, percent]) => ({ hours, percent }))
+    .sort((a, b) => b.hours - a.hours);
+};
+
+const gatewayError = (message, error) => {
+  console.error(`❌ ${message}:`, error.response?.data || error.message);
+  const wrapped = new Error(message);
+  wrapped.statusCode = 502;
+  return wrapped;
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const paymentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PaymentService {
+  constructor() {
+    this.keyId = process.env.RAZORPAY_KEY_ID;
+    this.keySecret = process.env.RAZORPAY_KEY_SECRET;
+    this.webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    this.refundPolicy = parseRefundPolicy(process.env.REFUND_POLICY);
+    this.gateway = new RazorpayGateway();
+  }
+
+  // Swap the gateway, e.g. for a fake one in tests
+  setGateway(gateway) {
+    this.gateway = gateway;
+  }
+
+  // Amount in the currency's smallest unit (paise for INR)
+  toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  fromMinorUnits(amount) {
+    return amount / 100;
+  }
+
+  // Part of the price left for Razorpay once the wallet has paid its share
+  getGatewayAmount(appointment) {
+    return round2(appointment.amount - (appointment.walletAmount || 0));
+  }
+
+  getCurrency(appointment) {
+    return appointment.currency || appointment.packageSnapshot?.currency || DEFAULT_CURRENCY;
+  }
+
+  async createOrder(appointment) {
+    try {
+      return await this.gateway.createOrder({
+        amount: this.toMinorUnits(this.getGatewayAmount(appointment)),
+        currency: this.getCurrency(appointment),
+        receipt: `appointment_${appointment._id}`,
+        notes: {
+          appointmentId: appointment._id.toString(),
+          userId: appointment.user.toString()
+        }
+      });
+    } catch (error) {
+      throw gatewayError('Failed to create payment order', error);
+    }
+  }
+
+  // Pay what the client's wallet covers of an unpaid appointment and add it
+  // to the payment ledger. The appointment is saved by the caller.
+  async applyWallet(appointment) {
+    const debit = await walletService.payAppointment(appointment);
+    if (!debit) return null;
+
+    await this.recordTransaction(appointment, {
+      type: 'capture',
+      gateway: 'wallet',
+      source: 'checkout',
+      amount: -debit.amount,
+      status: 'captured',
+      reference: `capture:${debit._id}`
+    });
+    return debit;
+  }
+
+  // Return the wallet share of a booking that was not paid in full. The
+  // appointment is saved by the caller.
+  async releaseWallet(appointment) {
+    const amount = appointment.walletAmount;
+    if (!amount) return;
+
+    await walletService.releaseAppointment(appointment);
+    await this.recordTransaction(appointment, {
+      type: 'refund',
+      gateway: 'wallet',
+      source: 'checkout',
+      amount,
+      status: 'reversed'
+    });
+  }
+
+  // Credit a top-up order's payment to the client's wallet, once
+  async creditTopup(order, payment) {
+    const userId = order.notes?.userId;
+    if (order.notes?.purpose !== 'wallet-topup' || !userId) {
+      throw paymentError('Order is not a wallet top-up');
+    }
+
+    if (payment.order_id !== order.id || payment.amount !== order.amount || payment.currency !== order.currency) {
+      throw paymentError('Payment does not match the order');
+    }
+
+    return walletService.credit(userId, this.fromMinorUnits(payment.amount), {
+      type: 'topup',
+      orderId: order.id,
+      paymentId: payment.id,
+      reference: `topup:${payment.id}`,
+      note: 'Wallet top-up'
+    });
+  }
+
+  async createTopupOrder(userId, amount) {
+    walletService.validateTopupAmount(amount);
+
+    try {
+      return await this.gateway.createOrder({
+        amount: this.toMinorUnits(amount),
+        currency: DEFAULT_CURRENCY, // the wallet holds rupees
+        receipt: `wallet_${String(userId).slice(-8)}_${Date.now()}`,
+        notes: {
+          purpose: 'wallet-topup',
+          userId: String(userId)
+        }
+      });
+    } catch (error) {
+      throw gatewayError('Failed to create top-up order', error);
+    }
+  }
+
+  // Check a top-up checkout response and credit the wallet. Returns the
+  // ledger entry, or null if the top-up was already credited.
+  async verifyTopup(userId, { orderId, paymentId, signature }) {
+    if (!this.isValidSignature(orderId, paymentId, signature)) {
+      throw paymentError('Invalid payment signature');
+    }
+
+    let order;
+    let payment;
+    try {
+      [order, payment] = await Promise.all([
+        this.gateway.fetchOrder(orderId),
+        this.gateway.fetchPayment(paymentId)
+      ]);
+    } catch (error) {
+      throw gatewayError('Failed to confirm payment with Razorpay', error);
+    }
+
+    if (order.notes?.userId !== String(userId)) {
+      throw paymentError('Not authorized', 403);
+    }
+
+    if (!['authorized', 'captured'].includes(payment.status)) {
+      throw paymentError(`Payment is ${payment.status}`);
+    }
+
+    return this.creditTopup(order, payment);
+  }
+
+  async createGiftOrder(voucher) {
+    let order;
+    try {
+      order = await this.gateway.createOrder({
+        amount: this.toMinorUnits(voucher.amount),
+        currency: voucher.currency,
+        receipt: `gift_${voucher._id.toString().slice(-8)}_${Date.now()}`,
+        notes: {
+          purpose: 'gift-voucher',
+          voucherId: voucher._id.toString(),
+          userId: voucher.purchaser.toString()
+        }
+      });
+    } catch (error) {
+      throw gatewayError('Failed to create gift order', error);
+    }
+
+    voucher.orderId = order.id;
+    await voucher.save();
+    return order;
+  }
+
+  async completeGiftPurchase(order, payment) {
+    const voucher = await GiftVoucher.findOne({ _id: order.notes?.voucherId, orderId: order.id });
+    if (order.notes?.purpose !== 'gift-voucher' || !voucher) {
+      throw paymentError('Order is not a gift purchase');
+    }
+
+    if (payment.order_id !== order.id || payment.amount !== order.amount || payment.currency !== order.currency) {
+      throw paymentError('Payment does not match the order');
+    }
+
+    const completed = await giftVoucherService.completePurchase(voucher, payment);
+    // Also retried for a purchase recorded earlier whose invoice failed
+    if (voucher.status !== 'pending') {
+      await invoiceService.issueGiftVoucherInvoice(voucher);
+    }
+    return { voucher, completed };
+  }
+
+  async verifyGiftPurchase(userId, { orderId, paymentId, signature }) {
+    if (!this.isValidSignature(orderId, paymentId, signature)) {
+      throw paymentError('Invalid payment signature');
+    }
+
+    let order;
+    let payment;
+    try {
+      [order, payment] = await Promise.all([
+        this.gateway.fetchOrder(orderId),
+        this.gateway.fetchPayment(paymentId)
+      ]);
+    } catch (error) {
+      throw gatewayError('Failed to confirm payment with Razorpay', error);
+    }
+
+    if (order.notes?.userId !== String(userId)) {
+      throw paymentError('Not authorized', 403);
+    }
+
+    if (!['authorized', 'captured'].includes(payment.status)) {
+      throw paymentError(`Payment is ${payment.status}`);
+    }
+
+    return this.completeGiftPurchase(order, payment);
+  }
+
+  // Razorpay plans are fixed once created, so one is made for each version of a plan
+  async ensureGatewayPlan(plan) {
+    if (plan.razorpayPlanId) return plan.razorpayPlanId;
+
+    let gatewayPlan;
+    try {
+      gatewayPlan = await this.gateway.createPlan({
+        period: plan.billingPeriod,
+        interval: plan.billingInterval,
+        item: {
+          name: plan.name,
+          amount: this.toMinorUnits(plan.price),
+          currency: plan.currency,
+          description: plan.description
+        },
+        notes: { planId: plan._id.toString() }
+      });
+    } catch (error) {
+      throw gatewayError('Failed to create plan', error);
+    }
+
+    plan.razorpayPlanId = gatewayPlan.id;
+    await plan.save();
+    return plan.razorpayPlanId;
+  }
+
+  async createSubscription(userId, plan) {
+    const planId = await this.ensureGatewayPlan(plan);
+    const subscription = await subscriptionService.createSubscription(userId, plan);
+
+    let gatewaySubscription;
+    try {
+      gatewaySubscription = await this.gateway.createSubscription({
+        planId,
+        totalCount: plan.totalCycles,
+        notes: {
+          purpose: 'subscription',
+          subscriptionId: subscription._id.toString(),
+          userId: String(userId)
+        }
+      });
+    } catch (error) {
+      await Subscription.deleteOne({ _id: subscription._id });
+      throw gatewayError('Failed to create subscription', error);
+    }
+
+    subscription.razorpaySubscriptionId = gatewaySubscription.id;
+    subscriptionService.applyGatewayState(subscription, gatewaySubscription);
+    await subscription.save();
+    return { subscription, gatewaySubscription };
+  }
+
+  // Checkout for a subscription signs "paymentId|subscriptionId"
+  isValidSubscriptionSignature(paymentId, subscriptionId, signature) {
+    return this.matchesHmac(`${paymentId}|${subscriptionId}`, this.keySecret, signature);
+  }
+
+  async verifySubscription(userId, { subscriptionId, paymentId, signature }) {
+    if (!this.isValidSubscriptionSignature(paymentId, subscriptionId, signature)) {
+      throw paymentError('Invalid payment signature');
+    }
+
+    const subscription = await Subscription.findOne({ razorpaySubscriptionId: subscriptionId });
+    if (!subscription) {
+      throw paymentError('Subscription not found', 404);
+    }
+    if (subscription.user.toString() !== String(userId)) {
+      throw paymentError('Not authorized', 403);
+    }
+
+    let entity;
+    let payment;
+    try {
+      [entity, payment] = await Promise.all([
+        this.gateway.fetchSubscription(subscriptionId),
+        this.gateway.fetchPayment(paymentId)
+      ]);
+    } catch (error) {
+      throw gatewayError('Failed to confirm subscription with Razorpay', error);
+    }
+
+    if (!['authorized', 'captured'].includes(payment.status)) {
+      throw paymentError(`Payment is ${payment.status}`);
+    }
+
+    await subscriptionService.recordCharge(subscription, entity, payment);
+    subscriptionService.applyGatewayState(subscription, entity);
+    await subscription.save();
+    await this.invoiceSubscriptionCharge(subscription, payment.id);
+    return subscription;
+  }
+
+  async cancelSubscription(subscription, { atCycleEnd = true } = {}) {
+    if (!subscriptionService.isLive(subscription)) {
+      throw paymentError(`Subscription is ${subscription.status}`);
+    }
+
+    let entity;
+    try {
+      entity = await this.gateway.cancelSubscription(subscription.razorpaySubscriptionId, { atCycleEnd });
+    } catch (error) {
+      throw gatewayError('Failed to cancel subscription', error);
+    }
+
+    subscription.cancelAtCycleEnd = atCycleEnd;
+    subscriptionService.applyGatewayState(subscription, entity);
+    await subscription.save();
+    return subscription;
+  }
+
+  // Renewals, retries and cancellations reported by Razorpay
+  async recordSubscriptionEvent(event, entity, payment) {
+    if (!entity) return 'No subscription in event';
+
+    const subscription = await Subscription.findOne({ razorpaySubscriptionId: entity.id });
+    if (!subscription) return 'No subscription found';
+
+    let message = `Subscription ${entity.status}`;
+    if (event === 'subscription.charged' && payment) {
+      const counted = await subscriptionService.recordCharge(subscription, entity, payment);
+      message = counted ? 'Subscription renewed' : 'Subscription charge already recorded';
+    }
+
+    subscriptionService.applyGatewayState(subscription, entity);
+    await subscription.save();
+    if (event === 'subscription.charged' && payment) {
+      await this.invoiceSubscriptionCharge(subscription, payment.id);
+    }
+    return message;
+  }
+
+  // Each membership charge gets its own invoice. Also retried for a charge
+  // recorded earlier whose invoice failed.
+  async invoiceSubscriptionCharge(subscription, paymentId) {
+    const charge = subscription.charges.find(entry => entry.paymentId === paymentId);
+    if (charge) {
+      await invoiceService.issueSubscriptionInvoice(subscription, charge);
+    }
+  }
+
+  // Add an entry to the payment ledger and link it to the appointment. An entry
+  // whose reference was already recorded is not added again; null is returned.
+  async recordTransaction(appointment, entry) {
+    let payment;
+    try {
+      payment = await Payment.create({
+        ...entry,
+        appointment: appointment._id,
+        user: appointment.user
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return null;
+    }
+
+    await Appointment.updateOne({ _id: appointment._id }, { $addToSet: { payments: payment._id } });
+    return payment;
+  }
+
+  // Ledger entry for a Razorpay order entity
+  recordOrder(appointment, order, source) {
+    return this.recordTransaction(appointment, {
+      type: 'order',
+      source,
+      orderId: order.id,
+      amount: this.fromMinorUnits(order.amount),
+      currency: order.currency,
+      status: order.status,
+      reference: `order:${order.id}`,
+      payload: order
+    });
+  }
+
+  // Ledger entry for a Razorpay payment entity
+  recordPayment(appointment, type, payment, source) {
+    return this.recordTransaction(appointment, {
+      type,
+      source,
+      orderId: payment.order_id,
+      paymentId: payment.id,
+      amount: this.fromMinorUnits(payment.amount),
+      currency: payment.currency,
+      status: payment.status,
+      reference: `${type}:${payment.id}`,
+      payload: payment
+    });
+  }
+
+  // Ledger entry for a Razorpay refund entity. Each status a refund goes
+  // through gets its own entry.
+  recordRefund(appointment, refund, source) {
+    return this.recordTransaction(appointment, {
+      type: 'refund',
+      source,
+      orderId: appointment.orderId,
+      paymentId: refund.payment_id,
+      refundId: refund.id,
+      amount: this.fromMinorUnits(refund.amount),
+      currency: refund.currency,
+      status: refund.status,
+      reference: `refund:${refund.id}:${refund.status}`,
+      payload: refund
+    });
+  }
+
+  matchesHmac(data, secret, signature) {
+    if (!secret || typeof signature !== 'string') return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  // Razorpay signs "<order_id>|<payment_id>" with the key secret
+  isValidSignature(orderId, paymentId, signature) {
+    if (!orderId || !paymentId) return false;
+    return this.matchesHmac(`${orderId}|${paymentId}`, this.keySecret, signature);
+  }
+
+  // Webhooks are signed over the raw request body with the webhook secret
+  isValidWebhookSignature(rawBody, signature) {
+    return this.matchesHmac(rawBody, this.webhookSecret, signature);
+  }
+
+  // Check a checkout response against the order stored on the appointment and
+  // against what Razorpay reports for the order and payment. Returns the payment.
+  async verifyPayment(appointment, { orderId, paymentId, signature }) {
+    if (!appointment.orderId || appointment.orderId !== orderId) {
+      throw paymentError('Order does not belong to this appointment');
+    }
+
+    if (!this.isValidSignature(orderId, paymentId, signature)) {
+      throw paymentError('Invalid payment signature');
+    }
+
+    let order;
+    let payment;
+    try {
+      [order, payment] = await Promise.all([
+        this.gateway.fetchOrder(orderId),
+        this.gateway.fetchPayment(paymentId)
+      ]);
+    } catch (error) {
+      throw gatewayError('Failed to confirm payment with Razorpay', error);
+    }
+
+    const expectedAmount = this.toMinorUnits(this.getGatewayAmount(appointment));
+    const currency = this.getCurrency(appointment);
+
+    // A booking cancelled meanwhile may have had its wallet share returned;
+    // confirmCapture settles what the payment covers
+    if (appointment.status !== 'cancelled' && (order.amount !== expectedAmount || order.currency !== currency)) {
+      throw paymentError('Order amount does not match the appointment');
+    }
+
+    if (payment.order_id !== orderId || payment.amount !== order.amount || payment.currency !== order.currency) {
+      throw paymentError('Payment does not match the order');
+    }
+
+    if (!['authorized', 'captured'].includes(payment.status)) {
+      throw paymentError(`Payment is ${payment.status}`);
+    }
+
+    return payment;
+  }
+
+  // Follow-up work once an appointment is paid, whichever way the payment was confirmed
+  async afterCapture(appointment) {
+    try {
+      await couponService.redeem(appointment);
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      // The money is already taken, so the booking keeps its discount
+      console.error(`❌ Coupon ${appointment.coupon.code} could not be counted for appointment ${appointment._id} (${error.message}); the discount was honoured`);
+    }
+    await invoiceService.issueInvoice(appointment);
+    await videoRoomService.provisionPaidAppointment(appointment);
+  }
+
+  // Apply a verified webhook event. Returns a short note on what was done.
+  async handleWebhookEvent(body) {
+    const payment = body.payload?.payment?.entity;
+    const order = body.payload?.order?.entity;
+    const refund = body.payload?.refund?.entity;
+
+    switch (body.event) {
+      case 'payment.captured':
+      case 'order.paid':
+        return this.recordCapturedPayment(payment, order);
+      case 'payment.failed':
+        return this.recordFailedPayment(payment);
+      case 'refund.processed':
+        return this.recordProcessedRefund(refund);
+      case 'refund.failed':
+        return this.recordFailedRefund(refund);
+      case 'subscription.authenticated':
+      case 'subscription.activated':
+      case 'subscription.charged':
+      case 'subscription.pending':
+      case 'subscription.halted':
+      case 'subscription.cancelled':
+      case 'subscription.completed':
+        return this.recordSubscriptionEvent(body.event, body.payload?.subscription?.entity, payment);
+      default:
+        return `Ignored ${body.event}`;
+    }
+  }
+
+  // The webhook counterpart of /verify, for checkouts whose tab was closed
+  async recordCapturedPayment(payment, order) {
+    if (!payment) return 'No payment in event';
+
+    const appointment = await Appointment.findOne({ orderId: payment.order_id });
+    if (!appointment) return this.recordCapturedPurchase(payment, order);
+
+    await this.recordPayment(appointment, 'capture', payment, 'webhook');
+
+    if (appointment.paymentStatus === 'completed') return 'Already paid';
+
+    return this.confirmCapture(appointment, payment);
+  }
+
+  // Confirm an appointment once its payment is captured. Shared by /verify and
+  // the webhook so both settle a booking the same way. Returns a short note on
+  // what was done; the appointment is confirmed only if the payment covered it.
+  async confirmCapture(appointment, payment) {
+    const cancelled = appointment.status === 'cancelled';
+
+    // Razorpay would retry a failed delivery forever, so a mismatch is flagged
+    // for an admin and acknowledged rather than thrown
+    if (!cancelled && !this.coversAppointment(appointment, payment)) {
+      await this.flagAmountMismatch(appointment, payment);
+      return 'Payment amount does not match the appointment; flagged for review';
+    }
+
+    appointment.paymentStatus = 'completed';
+    appointment.paymentId = payment.id;
+    appointment.paidAt = new Date((payment.created_at || Date.now() / 1000) * 1000);
+
+    if (cancelled) {
+      const note = await this.restoreCancelledBooking(appointment, payment);
+      if (note) return note;
+    } else if (appointment.status === 'pending') {
+      appointment.status = 'confirmed';
+    }
+
+    await appointment.save();
+    await this.afterCapture(appointment);
+    return 'Payment recorded';
+  }
+
+  coversAppointment(appointment, payment) {
+    return payment.amount === this.toMinorUnits(this.getGatewayAmount(appointment)) &&
+      payment.currency === this.getCurrency(appointment);
+  }
+
+  // The browser may have reported a failure before the payment went through,
+  // giving up the slot and the wallet share. Take both back, or refund the
+  // payment if either is gone. Returns a note if the booking stays cancelled.
+  async restoreCancelledBooking(appointment, payment) {
+    try {
+      await schedulingService.reserveSlots(appointment);
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+      await this.refundUnplacedCapture(appointment, payment, 'slot-taken');
+      return 'Paid, but the slot was taken after the booking was cancelled';
+    }
+
+    if (!this.coversAppointment(appointment, payment)) {
+      await this.applyWallet(appointment);
+    }
+    if (!this.coversAppointment(appointment, payment)) {
+      await this.releaseWallet(appointment);
+      await schedulingService.releaseSlots(appointment._id);
+      await this.refundUnplacedCapture(appointment, payment, 'amount-mismatch');
+      return 'Paid, but the payment no longer covers the cancelled booking';
+    }
+
+    appointment.status = 'confirmed';
+    return null;
+  }
+
+  // Flag a capture whose booking could not be confirmed and give it back in full
+  async refundUnplacedCapture(appointment, payment, flag) {
+    await appointment.save();
+    await Payment.updateOne({ reference: `capture:${payment.id}` }, { flag });
+    console.error(`❌ Payment ${payment.id} for cancelled appointment ${appointment._id} could not be placed (${flag}); refunding it`);
+    await this.refundPayment(appointment, this.fromMinorUnits(payment.amount), {
+      reason: 'Booking was cancelled before the payment went through',
+      source: 'cancellation'
+    });
+  }
+
+  async flagAmountMismatch(appointment, payment) {
+    await Payment.updateOne({ reference: `capture:${payment.id}` }, { flag: 'amount-mismatch' });
+
+    const paid = formatMoney(this.fromMinorUnits(payment.amount), payment.currency);
+    const expected = formatMoney(this.getGatewayAmount(appointment), this.getCurrency(appointment));
+    console.error(`❌ Payment ${payment.id} of ${paid} does not match appointment ${appointment._id} (${expected})`);
+
+    try {
+      await sendEmail({
+        email: process.env.ASTROLOGER_EMAIL,
+        subject: `Payment needs review - ${payment.id}`,
+        message: `Razorpay captured ${paid} in payment ${payment.id} for appointment ${appointment._id}, which expected ${expected}. The appointment has not been confirmed; please check the payment and refund or confirm it by hand.`
+      });
+    } catch (error) {
+      console.error(`❌ Payment review email for ${payment.id} failed:`, error.message);
+    }
+  }
+
+  // A captured payment for an order no appointment has: a wallet top-up or
+  // gift purchase whose checkout was closed before it was verified, or an
+  // unknown order
+  async recordCapturedPurchase(payment, order) {
+    try {
+      order = order || await this.gateway.fetchOrder(payment.order_id);
+    } catch (error) {
+      throw gatewayError('Failed to fetch order from Razorpay', error);
+    }
+
+    if (order.notes?.purpose === 'gift-voucher') {
+      const { completed } = await this.completeGiftPurchase(order, payment);
+      return completed ? 'Gift purchase recorded' : 'Gift purchase already recorded';
+    }
+
+    if (order.notes?.purpose !== 'wallet-topup') return 'No appointment for this order';
+
+    const entry = await this.creditTopup(order, payment);
+    return entry ? 'Wallet top-up recorded' : 'Wallet top-up already recorded';
+  }
+
+  // A failed attempt; the client can still retry on the same order
+  async recordFailedPayment(payment) {
+    const appointment = payment && await Appointment.findOne({ orderId: payment.order_id });
+    if (!appointment) return 'No appointment for this order';
+
+    await this.recordPayment(appointment, 'failure', payment, 'webhook');
+
+    if (appointment.paymentStatus !== 'pending') return `Payment already ${appointment.paymentStatus}`;
+
+    appointment.paymentStatus = 'failed';
+    await appointment.save();
+    return 'Payment failure recorded';
+  }
+
+  async recordProcessedRefund(refund) {
+    const appointment = refund && await Appointment.findOne({ paymentId: refund.payment_id });
+    if (!appointment) return 'No appointment for this payment';
+
+    const applied = await this.applyProcessedRefund(appointment, refund, 'webhook');
+    return applied ? 'Refund recorded' : 'Refund already recorded';
+  }
+
+  async recordFailedRefund(refund) {
+    const appointment = refund && await Appointment.findOne({ paymentId: refund.payment_id });
+    if (!appointment) return 'No appointment for this payment';
+
+    const entry = await this.recordRefund(appointment, refund, 'webhook');
+    if (!entry) return 'Refund failure already recorded';
+
+    // The failed amount can be refunded again
+    appointment.refundAmount = Math.max(
+      appointment.refundedAmount,
+      appointment.refundAmount - this.fromMinorUnits(refund.amount)
+    );
+    appointment.refundStatus = 'failed';
+    await appointment.save();
+    return 'Refund failure recorded';
+  }
+
+  // Give back the gift voucher or membership session a cancelled booking was
+  // paid with. Returns false for other bookings.
+  async releasePrepaidBooking(appointment) {
+    if (appointment.giftVoucher) return giftVoucherService.release(appointment);
+    if (appointment.subscription) return subscriptionService.releaseAllowance(appointment);
+    return false;
+  }
+
+  // Percentage the cancellation policy gives back when a booking is
+  // cancelled the given number of hours before it starts
+  getPolicyRefundPercent(hoursUntilStart) {
+    const tier = this.refundPolicy.find(({ hours }) => hoursUntilStart >= hours);
+    return tier ? tier.percent : 0;
+  }
+
+  // Share of the amount paid that the policy gives back
+  getPolicyRefundAmount(appointment, hoursUntilStart) {
+    return Math.round(appointment.amount * this.getPolicyRefundPercent(hoursUntilStart)) / 100;
+  }
+
+  // What is left of the payment after the refunds issued so far
+  getRefundableAmount(appointment) {
+    // Gift and membership bookings were paid for elsewhere; cancelling one
+    // gives the voucher or the session back instead
+    if (appointment.giftVoucher || appointment.subscription || !['completed', 'partially-refunded'].includes(appointment.paymentStatus)) {
+      return 0;
+    }
+    return Math.max(0, Math.round((appointment.amount - appointment.refundAmount) * 100) / 100);
+  }
+
+  // Refund part or all of an appointment's payment. The share paid from the
+  // wallet goes straight back to it; the rest is refunded through Razorpay and
+  // stays pending on the appointment until the gateway confirms it.
+  async refundPayment(appointment, amount, { reason, source }) {
+    const refundable = this.getRefundableAmount(appointment);
+
+    if (refundable <= 0) {
+      throw paymentError('This appointment has no payment left to refund');
+    }
+    if (!(amount > 0) || amount > refundable) {
+      throw paymentError(`Refund amount must be more than 0 and at most ${refundable}`);
+    }
+
+    const walletAmount = round2(Math.min(amount, appointment.walletAmount - appointment.walletRefundedAmount));
+    const gatewayAmount = round2(amount - walletAmount);
+
+    let refund = null;
+    if (gatewayAmount > 0) {
+      try {
+        refund = await this.gateway.createRefund(appointment.paymentId, {
+          amount: this.toMinorUnits(gatewayAmount),
+          notes: {
+            appointmentId: appointment._id.toString(),
+            reason: reason || ''
+          }
+        });
+      } catch (error) {
+        appointment.refundStatus = 'failed';
+        await appointment.save();
+        throw gatewayError('Failed to issue refund', error);
+      }
+    }
+
+    if (walletAmount > 0) {
+      const entry = await walletService.credit(appointment.user, walletAmount, {
+        type: 'refund',
+        appointment: appointment._id,
+        note: reason || 'Appointment refund'
+      });
+      await this.recordTransaction(appointment, {
+        type: 'refund',
+        gateway: 'wallet',
+        source,
+        amount: walletAmount,
+        status: 'processed',
+        reference: `refund:${entry._id}`
+      });
+      appointment.walletRefundedAmount = round2(appointment.walletRefundedAmount + walletAmount);
+      appointment.refundedAmount = round2(appointment.refundedAmount + walletAmount);
+    }
+
+    appointment.refundAmount = round2(appointment.refundAmount + amount);
+    this.updateRefundStatus(appointment);
+    await appointment.save();
+
+    // An instant refund is counted right away; its ledger entry is written by
+    // applyProcessedRefund, which would otherwise see it as already counted
+    if (refund?.status === 'processed') {
+      await this.applyProcessedRefund(appointment, refund, source);
+    } else if (refund) {
+      await this.recordRefund(appointment, refund, source);
+    }
+
+    return { amount, walletAmount, gatewayAmount, status: appointment.refundStatus };
+  }
+
+  updateRefundStatus(appointment) {
+    appointment.refundStatus = appointment.refundedAmount >= appointment.refundAmount ? 'processed' : 'pending';
+    if (appointment.refundedAmount > 0) {
+      appointment.paymentStatus = appointment.refundedAmount >= appointment.amount ? 'refunded' : 'partially-refunded';
+    }
+  }
+
+  // Count a refund the gateway has confirmed. Returns false when it was
+  // already counted, e.g. when the webhook follows an instant refund.
+  async applyProcessedRefund(appointment, refund, source) {
+    const entry = await this.recordRefund(appointment, refund, source);
+    if (!entry) return false;
+
+    appointment.refundedAmount = round2(appointment.refundedAmount + this.fromMinorUnits(refund.amount));
+    // Refunds made from the Razorpay dashboard were never requested here
+    appointment.refundAmount = Math.max(appointment.refundAmount, appointment.refundedAmount);
+    this.updateRefundStatus(appointment);
+    await appointment.save();
+    return true;
+  }
+}
+
+const paymentService = new PaymentService();
+// The REST client itself, for tests that run it against a fake Razorpay server
+paymentService.RazorpayGateway = RazorpayGateway;
+
+module.exports = paymentService;
@@ -0,0 +1,190 @@
+const Appointment = require('../models/Appointment');
+const dailyService = require('./dailyService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const recordingError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Cloud recordings of consultations. Daily keeps the files; appointments keep
+// the recording IDs, and download links are issued on request and expire.
+class RecordingService {
+  constructor() {
+    // How long recordings are kept before the retention job deletes them
+    this.retentionDays = parseInt(process.env.RECORDING_RETENTION_DAYS, 10) || 90;
+    // How long a download link works for
+    this.linkMinutes = parseInt(process.env.RECORDING_LINK_MINUTES, 10) || 15;
+  }
+
+  // Only the client who booked and admins may see a consultation's recordings
+  canAccess(appointment, user) {
+    const clientId = appointment.user?._id || appointment.user;
+    return user.role === 'admin' || String(clientId) === String(user.id);
+  }
+
+  toSummary(recording) {
+    return {
+      recordingId: recording.recordingId,
+      ...(recording.url && { url: recording.url }),
+      startedAt: recording.startedAt,
+      durationSeconds: recording.durationSeconds,
+      readyAt: recording.readyAt,
+      deleteAfter: recording.deleteAfter
+    };
+  }
+
+  listForAppointment(appointment) {
+    return (appointment.videoCall?.recordings || [])
+      .filter(recording => !recording.deletedAt)
+      .map(recording => this.toSummary(recording));
+  }
+
+  // Appointments with recordings still available, newest first: the client's
+  // own, or everyone's for an admin
+  async listLibrary(user) {
+    const query = {
+      'videoCall.recordings': { $elemMatch: { deletedAt: null } },
+      ...(user.role !== 'admin' && { user: user.id })
+    };
+
+    const appointments = await Appointment.find(query)
+      .select('user startsAt duration package packageSnapshot.name consultationType videoCall.recordings')
+      .populate('user', 'firstName lastName email')
+      .sort({ startsAt: -1 });
+
+    return appointments.map(appointment => ({
+      appointmentId: appointment._id,
+      ...(user.role === 'admin' && { client: appointment.user }),
+      startsAt: appointment.startsAt,
+      duration: appointment.duration,
+      package: appointment.packageSnapshot?.name || appointment.package,
+      consultationType: appointment.consultationType,
+      recordings: this.listForAppointment(appointment)
+    }));
+  }
+
+  // Save a recording reported by Daily. Recordings of a client who opted out
+  // are deleted straight away, in case one was started anyway.
+  async addRecording(appointment, payload) {
+    const recordingId = payload.recording_id;
+    if (!recordingId) return 'No recording in event';
+
+    if (appointment.recordingOptOut) {
+      await dailyService.deleteRecording(recordingId);
+      return 'Recording deleted: the client opted out of recording';
+    }
+
+    const { recordings } = appointment.videoCall;
+    if (recordings.some(recording => recording.recordingId === recordingId)) {
+      return 'Recording already saved';
+    }
+
+    const readyAt = new Date();
+    recordings.push({
+      recordingId,
+      startedAt: payload.start_ts ? new Date(payload.start_ts * 1000) : undefined,
+      durationSeconds: payload.duration,
+      readyAt,
+      deleteAfter: new Date(readyAt.getTime() + this.retentionDays * DAY)
+    });
+    await appointment.save();
+    return 'Recording saved';
+  }
+
+  // A short-lived download link for one of the appointment's recordings
+  async getAccessLink(appointment, recordingId) {
+    const recording = (appointment.videoCall?.recordings || [])
+      .find(entry => entry.recordingId === recordingId);
+
+    if (!recording) {
+      throw recordingError(404, 'Recording not found');
+    }
+    if (recording.deletedAt) {
+      throw recordingError(410, 'This recording has been deleted');
+    }
+
+    return dailyService.getRecordingAccessLink(recordingId, { validForSeconds: this.linkMinutes * 60 });
+  }
+
+  // Delete recordings past their retention period. A recording that fails is
+  // left for the next run.
+  async deleteExpired(now = new Date()) {
+    const appointments = await Appointment.find({
+      'videoCall.recordings': { $elemMatch: { deleteAfter: { $lte: now }, deletedAt: null } }
+    }).select('videoCall.recordings');
+
+    let deleted = 0;
+    for (const appointment of appointments) {
+      const expired = appointment.videoCall.recordings
+        .filter(recording => !recording.deletedAt && recording.deleteAfter <= now);
+
+      for (const recording of expired) {
+        const { recordingId } = recording;
+        try {
+          // Older entries may only have a saved link, and nothing to delete at Daily
+          if (recordingId) await dailyService.deleteRecording(recordingId);
+          await Appointment.updateOne(
+            { _id: appointment._id },
+            {
+              $set: { 'videoCall.recordings.$[entry].deletedAt': new Date() },
+              $unset: { 'videoCall.recordings.$[entry].url': 1 }
+            },
+            { arrayFilters: [recordingId ? { 'entry.recordingId': recordingId } : { 'entry.url': recording.url }] }
+          );
+          deleted += 1;
+        } catch (error) {
+          console.error(`❌ Deleting recording ${recordingId} of appointment ${appointment._id} failed:`, error.message);
+        }
+      }
+    }
+    return deleted;
+  }
+
+  // Move the single recordingId/recordingUrl that appointments had before the
+  // recordings list into it, so they are listed and expire like the rest.
+  // Safe to run repeatedly.
+  async migrateLegacyRecordings() {
+    const cursor = Appointment.find({
+      $or: [
+        { 'videoCall.recordingId': { $exists: true } },
+        { 'videoCall.recordingUrl': { $exists: true } }
+      ]
+    })
+      .select('videoCall updatedAt')
+      .lean()
+      .cursor();
+
+    let migrated = 0;
+    for await (const appointment of cursor) {
+      const { recordingId, recordingUrl, recordings = [], endedAt } = appointment.videoCall;
+      const known = recordingId && recordings.some(recording => recording.recordingId === recordingId);
+      const readyAt = endedAt || appointment.updatedAt || new Date();
+      // Their retention runs from now, so none disappears the moment it is moved
+      const deleteAfter = new Date(Date.now() + this.retentionDays * DAY);
+
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        {
+          ...((recordingId || recordingUrl) && !known && {
+            $push: {
+              'videoCall.recordings': {
+                ...(recordingId ? { recordingId } : { url: recordingUrl }),
+                readyAt,
+                deleteAfter
+              }
+            }
+          }),
+          $unset: { 'videoCall.recordingId': 1, 'videoCall.recordingUrl': 1 }
+        },
+        { strict: false }
+      );
+      migrated += 1;
+    }
+    return migrated;
+  }
+}
+
+module.exports = new RecordingService();
@@ -0,0 +1,294 @@
+const ExcelJS = require('exceljs');
+const dayjs = require('dayjs');
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const GiftVoucher = require('../models/GiftVoucher');
+const Subscription = require('../models/Subscription');
+const { getAstrologerTimezone, zonedTimeToUtc, formatInZone } = require('../utils/timezone');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const PAID_STATUSES = ['completed', 'partially-refunded', 'refunded'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bookings from before multi-currency pricing have no currency and were in rupees
+const CURRENCY = { $ifNull: ['$currency', DEFAULT_CURRENCY] };
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Sheets of the export, in order, with their columns
+const SECTIONS = [
+  {
+    key: 'summary',
+    title: 'Summary',
+    columns: [
+      ['currency', 'Currency'],
+      ['bookings', 'Paid Bookings'],
+      ['bookingRevenue', 'Booking Revenue'],
+      ['giftVoucherSales', 'Gift Voucher Sales'],
+      ['membershipRevenue', 'Membership Revenue'],
+      ['grossRevenue', 'Gross Revenue'],
+      ['refunds', 'Refunds'],
+      ['netRevenue', 'Net Revenue'],
+      ['couponDiscounts', 'Coupon Discounts'],
+      ['taxableAmount', 'Taxable Amount'],
+      ['cgst', 'CGST'],
+      ['sgst', 'SGST'],
+      ['igst', 'IGST'],
+      ['taxCollected', 'Total Tax']
+    ]
+  },
+  { key: 'byDay', title: 'By Day', columns: [['period', 'Day'], ['currency', 'Currency'], ['bookings', 'Bookings'], ['revenue', 'Revenue']] },
+  { key: 'byWeek', title: 'By Week', columns: [['period', 'Week'], ['currency', 'Currency'], ['bookings', 'Bookings'], ['revenue', 'Revenue']] },
+  { key: 'byMonth', title: 'By Month', columns: [['period', 'Month'], ['currency', 'Currency'], ['bookings', 'Bookings'], ['revenue', 'Revenue']] },
+  {
+    key: 'byPackage',
+    title: 'By Package',
+    columns: [['package', 'Package'], ['currency', 'Currency'], ['bookings', 'Bookings'], ['revenue', 'Revenue'], ['couponDiscounts', 'Coupon Discounts'], ['refunded', 'Refunded']]
+  },
+  {
+    key: 'byConsultationType',
+    title: 'By Consultation Type',
+    columns: [['consultationType', 'Consultation Type'], ['currency', 'Currency'], ['bookings', 'Bookings'], ['revenue', 'Revenue'], ['couponDiscounts', 'Coupon Discounts'], ['refunded', 'Refunded']]
+  },
+  {
+    key: 'byPaymentStatus',
+    title: 'By Payment Status',
+    columns: [['paymentStatus', 'Payment Status'], ['currency', 'Currency'], ['bookings', 'Bookings'], ['amount', 'Amount']]
+  }
+];
+
+const round2 = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Round every money total; counts stay as they are
+const roundAmounts = (totals) => Object.fromEntries(
+  Object.entries(totals).map(([key, value]) => [key, typeof value === 'number' && key !== 'bookings' ? round2(value) : value])
+);
+
+const reportError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ReportService {
+  // Dates are whole days in the astrologer's time zone, both ends included.
+  // Defaults to the current month so far.
+  parseRange({ from, to } = {}) {
+    const today = formatInZone(new Date()).date;
+    from = from || `${today.slice(0, 8)}01`;
+    to = to || today;
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      throw reportError('Dates must be in YYYY-MM-DD format');
+    }
+    if (from > to) {
+      throw reportError('The start date must not be after the end date');
+    }
+
+    return {
+      from,
+      to,
+      timezone: getAstrologerTimezone(),
+      start: zonedTimeToUtc(from, '00:00'),
+      end: zonedTimeToUtc(dayjs(to).add(1, 'day').format('YYYY-MM-DD'), '00:00')
+    };
+  }
+
+  paidBookingsMatch(range) {
+    // Gift bookings were paid for when the voucher was sold
+    return {
+      paymentStatus: { $in: PAID_STATUSES },
+      paidAt: { $gte: range.start, $lt: range.end },
+      giftVoucher: null
+    };
+  }
+
+  revenueByPeriod(range, unit) {
+    return Appointment.aggregate([
+      { $match: this.paidBookingsMatch(range) },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: PERIOD_FORMATS[unit], date: '$paidAt', timezone: range.timezone } },
+            currency: CURRENCY
+          },
+          bookings: { $sum: 1 },
+          revenue: { $sum: '$amount' }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.currency': 1 } }
+    ]);
+  }
+
+  revenueBy(range, field) {
+    return Appointment.aggregate([
+      { $match: this.paidBookingsMatch(range) },
+      {
+        $group: {
+          _id: { [field]: `$${field}`, currency: CURRENCY },
+          bookings: { $sum: 1 },
+          revenue: { $sum: '$amount' },
+          couponDiscounts: { $sum: { $ifNull: ['$coupon.discount', 0] } },
+          refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+  }
+
+  // Every booking made in the range, paid or not
+  bookingsByPaymentStatus(range) {
+    return Appointment.aggregate([
+      { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+      {
+        $group: {
+          _id: { paymentStatus: '$paymentStatus', currency: CURRENCY },
+          bookings: { $sum: 1 },
+          amount: { $sum: '$amount' }
+        }
+      },
+      { $sort: { '_id.paymentStatus': 1 } }
+    ]);
+  }
+
+  refundsByCurrency(range) {
+    return Payment.aggregate([
+      { $match: { type: 'refund', status: 'processed', createdAt: { $gte: range.start, $lt: range.end } } },
+      { $group: { _id: CURRENCY, total: { $sum: '$amount' } } }
+    ]);
+  }
+
+  taxByCurrency(range) {
+    return Invoice.aggregate([
+      { $match: { invoiceNumber: { $exists: true }, issuedAt: { $gte: range.start, $lt: range.end } } },
+      {
+        $group: {
+          _id: CURRENCY,
+          taxableAmount: { $sum: '$taxableAmount' },
+          cgst: { $sum: '$cgst' },
+          sgst: { $sum: '$sgst' },
+          igst: { $sum: '$igst' },
+          taxCollected: { $sum: '$totalTax' }
+        }
+      }
+    ]);
+  }
+
+  giftSalesByCurrency(range) {
+    return GiftVoucher.aggregate([
+      { $match: { status: { $ne: 'pending' }, paidAt: { $gte: range.start, $lt: range.end } } },
+      { $group: { _id: CURRENCY, total: { $sum: '$amount' } } }
+    ]);
+  }
+
+  membershipChargesByCurrency(range) {
+    return Subscription.aggregate([
+      { $unwind: '$charges' },
+      { $match: { 'charges.chargedAt': { $gte: range.start, $lt: range.end } } },
+      { $group: { _id: { $ifNull: ['$planSnapshot.currency', DEFAULT_CURRENCY] }, total: { $sum: '$charges.amount' } } }
+    ]);
+  }
+
+  async buildReport(query) {
+    const range = this.parseRange(query);
+
+    const [
+      byDay, byWeek, byMonth, byPackage, byConsultationType, byPaymentStatus,
+      refunds, tax, giftSales, membershipCharges
+    ] = await Promise.all([
+      this.revenueByPeriod(range, 'day'),
+      this.revenueByPeriod(range, 'week'),
+      this.revenueByPeriod(range, 'month'),
+      this.revenueBy(range, 'package'),
+      this.revenueBy(range, 'consultationType'),
+      this.bookingsByPaymentStatus(range),
+      this.refundsByCurrency(range),
+      this.taxByCurrency(range),
+      this.giftSalesByCurrency(range),
+      this.membershipChargesByCurrency(range)
+    ]);
+
+    // One summary row per currency; amounts in different currencies are never added up
+    const summary = new Map();
+    const row = (currency) => {
+      if (!summary.has(currency)) {
+        summary.set(currency, {
+          currency, bookings: 0, bookingRevenue: 0, giftVoucherSales: 0, membershipRevenue: 0,
+          refunds: 0, couponDiscounts: 0, taxableAmount: 0, cgst: 0, sgst: 0, igst: 0, taxCollected: 0
+        });
+      }
+      return summary.get(currency);
+    };
+
+    byPackage.forEach(group => {
+      const totals = row(group._id.currency);
+      totals.bookings += group.bookings;
+      totals.bookingRevenue += group.revenue;
+      totals.couponDiscounts += group.couponDiscounts;
+    });
+    giftSales.forEach(group => { row(group._id).giftVoucherSales += group.total; });
+    membershipCharges.forEach(group => { row(group._id).membershipRevenue += group.total; });
+    refunds.forEach(group => { row(group._id).refunds += group.total; });
+    tax.forEach(group => {
+      const { _id: currency, ...taxTotals } = group;
+      Object.assign(row(currency), taxTotals);
+    });
+
+    const flatten = (groups) => groups.map(({ _id, ...totals }) => ({ ..._id, ...roundAmounts(totals) }));
+
+    return {
+      range: { from: range.from, to: range.to, timezone: range.timezone },
+      summary: [...summary.values()].map(totals => {
+        const grossRevenue = totals.bookingRevenue + totals.giftVoucherSales + totals.membershipRevenue;
+        return roundAmounts({ ...totals, grossRevenue, netRevenue: grossRevenue - totals.refunds });
+      }),
+      byDay: flatten(byDay),
+      byWeek: flatten(byWeek),
+      byMonth: flatten(byMonth),
+      byPackage: flatten(byPackage),
+      byConsultationType: flatten(byConsultationType),
+      byPaymentStatus: flatten(byPaymentStatus)
+    };
+  }
+
+  // All sections in one file, each with a title line and its own header row
+  toCsv(report) {
+    const lines = [`Financial report ${report.range.from} to ${report.range.to} (${report.range.timezone})`];
+
+    SECTIONS.forEach(({ key, title, columns }) => {
+      lines.push('', title, columns.map(([, header]) => csvCell(header)).join(','));
+      report[key].forEach(entry => {
+        lines.push(columns.map(([field]) => csvCell(entry[field])).join(','));
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  // One worksheet per section
+  async toXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    SECTIONS.forEach(({ key, title, columns }) => {
+      const sheet = workbook.addWorksheet(title);
+      sheet.columns = columns.map(([field, header]) => ({ header, key: field, width: Math.max(12, header.length + 2) }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.addRows(report[key]);
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,426 @@
+const Appointment = require('../models/Appointment');
+const SlotHold = require('../models/SlotHold');
+const Availability = require('../models/Availability');
+const { getAstrologerTimezone, zonedTimeToUtc, formatInZone } = require('../utils/timezone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const BLOCKING_STATUSES = ['pending', 'confirmed'];
+const ALTERNATIVE_SEARCH_DAYS = 14;
+
+// "17:30" -> 1050
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// 1050 -> "17:30"
+const toTimeString = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// 1050 -> "5:30 PM"
+const toDisplayTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+class SchedulingService {
+  constructor() {
+    this.slotDuration = parseInt(process.env.SESSION_DURATION_MINUTES, 10) || 30;
+    this.sessionsPerDay = parseInt(process.env.SESSIONS_PER_DAY, 10) || null;
+    this.weeklyHours = this.buildWeeklyHours();
+  }
+
+  // Default weekly working hours keyed by day of week (0 = Sunday), used until
+  // an admin defines weekly availability rules. Working days run from Monday,
+  // so WORKING_DAYS_PER_WEEK=6 leaves Sunday off.
+  buildWeeklyHours() {
+    const start = process.env.SESSION_START_TIME || '17:00';
+    const end = process.env.SESSION_END_TIME || '20:00';
+    const workingDays = Math.min(Math.max(parseInt(process.env.WORKING_DAYS_PER_WEEK, 10) || 6, 0), 7);
+
+    const hours = {};
+    for (let i = 0; i < 7; i++) {
+      const dayOfWeek = (i + 1) % 7;
+      hours[dayOfWeek] = i < workingDays ? [{ start, end }] : [];
+    }
+    return hours;
+  }
+
+  isValidDate(date) {
+    return DATE_PATTERN.test(date) && !isNaN(new Date(`${date}T00:00:00Z`).getTime());
+  }
+
+  isValidTime(time) {
+    return TIME_PATTERN.test(time);
+  }
+
+  // "9:00" -> "09:00"
+  normalizeTime(time) {
+    return toTimeString(toMinutes(time));
+  }
+
+  // Date stored on an appointment -> "YYYY-MM-DD"
+  toDateString(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  // Appointment dates are stored as UTC midnight of the booked calendar day
+  getDayRange(date) {
+    const start = new Date(`${date}T00:00:00Z`);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    return { start, end };
+  }
+
+  // Working windows for a date after applying availability rules:
+  // holidays close the day, date overrides replace the weekly hours,
+  // and breaks are cut out of whatever hours remain.
+  async getWorkingWindows(date) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    const [rules, hasWeeklyRules] = await Promise.all([
+      Availability.find({
+        isActive: true,
+        $or: [
+          { type: 'weekly', dayOfWeek },
+          { type: 'override', date },
+          { type: 'holiday', startDate: { $lte: date }, endDate: { $gte: date } },
+          { type: 'break', date },
+          { type: 'break', dayOfWeek, date: null }
+        ]
+      }),
+      Availability.exists({ type: 'weekly', isActive: true })
+    ]);
+
+    if (rules.some(rule => rule.type === 'holiday')) return [];
+
+    const toWindow = rule => ({ start: toMinutes(rule.startTime), end: toMinutes(rule.endTime) });
+    const overrides = rules.filter(rule => rule.type === 'override');
+    const weekly = rules.filter(rule => rule.type === 'weekly');
+
+    let windows;
+    if (overrides.length > 0) {
+      windows = overrides.map(toWindow);
+    } else if (hasWeeklyRules) {
+      windows = weekly.map(toWindow);
+    } else {
+      windows = (this.weeklyHours[dayOfWeek] || []).map(({ start, end }) => ({
+        start: toMinutes(start),
+        end: toMinutes(end)
+      }));
+    }
+
+    rules.filter(rule => rule.type === 'break').map(toWindow).forEach(pause => {
+      windows = windows.flatMap(window => {
+        if (pause.end <= window.start || pause.start >= window.end) return [window];
+        return [
+          { start: window.start, end: pause.start },
+          { start: pause.end, end: window.end }
+        ].filter(part => part.end > part.start);
+      });
+    });
+
+    return windows.sort((a, b) => a.start - b.start);
+  }
+
+  // Every bookable slot start (in minutes) for the day, before bookings are applied
+  async buildDaySlots(date) {
+    const slots = new Set();
+
+    (await this.getWorkingWindows(date)).forEach(({ start, end }) => {
+      for (let minute = start; minute + this.slotDuration <= end; minute += this.slotDuration) {
+        slots.add(minute);
+      }
+    });
+
+    const sorted = [...slots].sort((a, b) => a - b);
+    return this.sessionsPerDay ? sorted.slice(0, this.sessionsPerDay) : sorted;
+  }
+
+  // Slot starts (in minutes) already held by pending or confirmed appointments.
+  // Bookings are compared by their UTC instants, measured from the start of
+  // the day in the astrologer's time zone.
+  async getBlockedSlots(date, daySlots, excludeAppointmentId = null) {
+    const { start, end } = this.getDayRange(date);
+    const dayStart = zonedTimeToUtc(date, '00:00');
+    const dayEnd = zonedTimeToUtc(this.toDateString(end), '00:00');
+
+    const appointments = await Appointment.find({
+      status: { $in: BLOCKING_STATUSES },
+      ...(excludeAppointmentId && { _id: { $nin: [].concat(excludeAppointmentId) } }),
+      $or: [
+        { startsAt: { $lt: dayEnd }, endsAt: { $gt: dayStart } },
+        // Bookings made before instants were stored
+        { startsAt: null, appointmentDate: { $gte: start, $lt: end } }
+      ]
+    }).select('appointmentTime duration startsAt endsAt');
+
+    // Slots currently offered to a waitlisted client
+    const offerHolds = await SlotHold.find({
+      date,
+      waitlistEntry: { $ne: null },
+      expiresAt: { $gt: new Date() }
+    }).select('time');
+
+    const blocked = new Set(offerHolds.map(hold => toMinutes(hold.time)));
+    appointments.forEach(appointment => {
+      let bookedStart;
+      let bookedEnd;
+
+      if (appointment.startsAt) {
+        bookedStart = (appointment.startsAt.getTime() - dayStart.getTime()) / 60000;
+        bookedEnd = (appointment.endsAt.getTime() - dayStart.getTime()) / 60000;
+      } else if (appointment.appointmentTime && this.isValidTime(appointment.appointmentTime)) {
+        bookedStart = toMinutes(appointment.appointmentTime);
+        bookedEnd = bookedStart + (appointment.duration || 0);
+      } else {
+        return;
+      }
+      bookedEnd = Math.max(bookedEnd, bookedStart + this.slotDuration);
+
+      daySlots.forEach(slot => {
+        if (slot < bookedEnd && slot + this.slotDuration > bookedStart) {
+          blocked.add(slot);
+        }
+      });
+    });
+
+    return blocked;
+  }
+
+  // Free slots for a date that can fit a session of the given duration.
+  // Longer sessions need enough consecutive free slots, so a 60-minute
+  // booking only starts where two 30-minute slots are open back to back.
+  // Slots that have already started are left out, and each slot also carries
+  // its UTC instants and its wall-clock time in the client's zone. Pass
+  // excludeAppointmentId (one ID or a list) to ignore bookings being moved.
+  async getAvailableSlots(date, { duration, timezone, excludeAppointmentId } = {}) {
+    const sessionDuration = duration || this.slotDuration;
+    const slotsNeeded = Math.ceil(sessionDuration / this.slotDuration);
+    const clientTimezone = timezone || getAstrologerTimezone();
+
+    const daySlots = await this.buildDaySlots(date);
+    if (daySlots.length === 0) return [];
+
+    const blocked = await this.getBlockedSlots(date, daySlots, excludeAppointmentId);
+    const daySlotSet = new Set(daySlots);
+    const now = Date.now();
+
+    return daySlots
+      .filter(slot => {
+        for (let i = 0; i < slotsNeeded; i++) {
+          const next = slot + i * this.slotDuration;
+          if (!daySlotSet.has(next) || blocked.has(next)) return false;
+        }
+        return true;
+      })
+      .map(slot => {
+        const startsAt = zonedTimeToUtc(date, toTimeString(slot));
+        const endsAt = new Date(startsAt.getTime() + sessionDuration * 60 * 1000);
+        return {
+          time: toTimeString(slot),
+          endTime: toTimeString(slot + sessionDuration),
+          label: `${toDisplayTime(slot)} - ${toDisplayTime(slot + sessionDuration)}`,
+          startsAt,
+          endsAt,
+          client: formatInZone(startsAt, clientTimezone)
+        };
+      })
+      .filter(slot => slot.startsAt.getTime() > now);
+  }
+
+  async isSlotAvailable(date, time, options = {}) {
+    const slots = await this.getAvailableSlots(date, options);
+    const normalizedTime = toTimeString(toMinutes(time));
+    return slots.some(slot => slot.time === normalizedTime);
+  }
+
+  // Keys of every slot a session starting at `time` occupies
+  getSlotKeys(date, time, duration) {
+    const start = toMinutes(time);
+    const slotsNeeded = Math.ceil((duration || this.slotDuration) / this.slotDuration);
+
+    const keys = [];
+    for (let i = 0; i < slotsNeeded; i++) {
+      const slotTime = toTimeString(start + i * this.slotDuration);
+      keys.push({ slotKey: `${date}T${slotTime}`, date, time: slotTime });
+    }
+    return keys;
+  }
+
+  // Atomically hold every slot the appointment covers at its current date and
+  // time, and let go of any slot it held before (so this also moves a
+  // rescheduled booking). Throws a 409 error listing nearby free slots if any
+  // of the new slots is already held by another booking.
+  async reserveSlots(appointment) {
+    const date = this.toDateString(appointment.appointmentDate);
+    const wanted = this.getSlotKeys(date, appointment.appointmentTime, appointment.duration);
+    const wantedKeys = wanted.map(hold => hold.slotKey);
+
+    const existing = await SlotHold.find({ appointment: appointment._id }).select('slotKey');
+    const heldKeys = new Set(existing.map(hold => hold.slotKey));
+    const holds = wanted
+      .filter(hold => !heldKeys.has(hold.slotKey))
+      .map(hold => ({ ...hold, appointment: appointment._id }));
+
+    // Waitlist offers that ran out are no longer binding
+    await SlotHold.deleteMany({
+      slotKey: { $in: holds.map(hold => hold.slotKey) },
+      expiresAt: { $lte: new Date() }
+    });
+
+    try {
+      await SlotHold.insertMany(holds, { ordered: true });
+    } catch (error) {
+      // Roll back whatever part of the reservation made it in before the clash
+      await SlotHold.deleteMany({
+        appointment: appointment._id,
+        slotKey: { $in: holds.map(hold => hold.slotKey) }
+      });
+
+      if (error.code === 11000) {
+        throw await this.buildConflictError(date, appointment.appointmentTime, {
+          duration: appointment.duration,
+          excludeAppointmentId: appointment._id
+        });
+      }
+      throw error;
+    }
+
+    await SlotHold.deleteMany({ appointment: appointment._id, slotKey: { $nin: wantedKeys } });
+  }
+
+  // Move several bookings to their current dates and times together, e.g. the
+  // occurrences of a series. Their old slots stay held until every new one is
+  // secured, and may pass from one of them to another. If another booking holds
+  // a new slot, every hold is put back as it was and a 409 error is thrown with
+  // the position of the booking that could not move.
+  async moveSlots(appointments) {
+    const ids = appointments.map(appointment => appointment._id);
+    const original = await SlotHold.find({ appointment: { $in: ids } }).select('slotKey appointment');
+    const wantedKeys = [];
+
+    for (let i = 0; i < appointments.length; i++) {
+      const appointment = appointments[i];
+      const date = this.toDateString(appointment.appointmentDate);
+
+      try {
+        for (const hold of this.getSlotKeys(date, appointment.appointmentTime, appointment.duration)) {
+          wantedKeys.push(hold.slotKey);
+
+          // A slot one of them holds already just changes hands
+          const handedOver = await SlotHold.updateOne(
+            { slotKey: hold.slotKey, appointment: { $in: ids } },
+            { appointment: appointment._id }
+          );
+          if (handedOver.matchedCount > 0) continue;
+
+          await SlotHold.deleteMany({ slotKey: hold.slotKey, expiresAt: { $lte: new Date() } });
+          await SlotHold.create({ ...hold, appointment: appointment._id });
+        }
+      } catch (error) {
+        // The old slots never left the group, so they can always be handed back
+        for (const hold of original) {
+          await SlotHold.updateOne(
+            { slotKey: hold.slotKey, appointment: { $in: ids } },
+            { appointment: hold.appointment }
+          );
+        }
+        await SlotHold.deleteMany({
+          appointment: { $in: ids },
+          slotKey: { $nin: original.map(hold => hold.slotKey) }
+        });
+
+        if (error.code === 11000) {
+          const conflict = await this.buildConflictError(date, appointment.appointmentTime, {
+            duration: appointment.duration,
+            excludeAppointmentId: ids
+          });
+          conflict.index = i;
+          throw conflict;
+        }
+        throw error;
+      }
+    }
+
+    // Let go of the old slots none of them uses any more
+    await SlotHold.deleteMany({ appointment: { $in: ids }, slotKey: { $nin: wantedKeys } });
+  }
+
+  async releaseSlots(appointmentId) {
+    await SlotHold.deleteMany({ appointment: appointmentId });
+  }
+
+  // Temporarily hold a slot for a waitlisted client until their claim expires.
+  // Returns false if the slot has been taken in the meantime.
+  async holdForWaitlist(entry, date, time, expiresAt) {
+    const holds = this.getSlotKeys(date, time, entry.duration)
+      .map(key => ({ ...key, waitlistEntry: entry._id, expiresAt }));
+
+    await SlotHold.deleteMany({
+      slotKey: { $in: holds.map(hold => hold.slotKey) },
+      expiresAt: { $lte: new Date() }
+    });
+
+    try {
+      await SlotHold.insertMany(holds, { ordered: true });
+      return true;
+    } catch (error) {
+      await SlotHold.deleteMany({ waitlistEntry: entry._id });
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  // Hand a waitlist hold over to the appointment created from it
+  async transferWaitlistHold(entryId, appointmentId) {
+    await SlotHold.updateMany(
+      { waitlistEntry: entryId },
+      { $set: { appointment: appointmentId }, $unset: { waitlistEntry: 1, expiresAt: 1 } }
+    );
+  }
+
+  async releaseWaitlistHold(entryId) {
+    await SlotHold.deleteMany({ waitlistEntry: entryId });
+  }
+
+  async buildConflictError(date, time, options = {}) {
+    const error = new Error('The selected time slot is no longer available');
+    error.statusCode = 409;
+    error.alternatives = await this.findAlternatives(date, time, options);
+    return error;
+  }
+
+  // Closest free slots to the requested one: same day first, ordered by how
+  // far they are from the requested time, then the following days in order.
+  async findAlternatives(date, time, { limit = 3, ...slotOptions } = {}) {
+    const requested = toMinutes(time);
+    const alternatives = [];
+    const { start } = this.getDayRange(date);
+
+    for (let offset = 0; offset <= ALTERNATIVE_SEARCH_DAYS && alternatives.length < limit; offset++) {
+      const day = this.toDateString(start.getTime() + offset * 24 * 60 * 60 * 1000);
+      let slots = await this.getAvailableSlots(day, slotOptions);
+
+      if (offset === 0) {
+        slots = slots
+          .filter(slot => slot.time !== toTimeString(requested))
+          .sort((a, b) => Math.abs(toMinutes(a.time) - requested) - Math.abs(toMinutes(b.time) - requested));
+      }
+
+      slots.slice(0, limit - alternatives.length).forEach(slot => {
+        alternatives.push({ date: day, ...slot });
+      });
+    }
+
+    return alternatives;
+  }
+}
+
+module.exports = new SchedulingService();
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const Appointment = require('../models/Appointment');
+const schedulingService = require('./schedulingService');
+
+const FREQUENCIES = ['weekly', 'monthly'];
+
+class SeriesService {
+  constructor() {
+    this.maxOccurrences = parseInt(process.env.SERIES_MAX_OCCURRENCES, 10) || 12;
+  }
+
+  // Returns an error message for an invalid recurrence rule, or null
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      return 'Recurrence must be an object with frequency, interval and count';
+    }
+    if (!FREQUENCIES.includes(rule.frequency)) {
+      return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 12) {
+      return 'Recurrence interval must be a whole number between 1 and 12';
+    }
+    if (!Number.isInteger(rule.count) || rule.count < 2 || rule.count > this.maxOccurrences) {
+      return `Recurrence count must be between 2 and ${this.maxOccurrences}`;
+    }
+    return null;
+  }
+
+  // Dates ("YYYY-MM-DD") of every occurrence, starting with startDate.
+  // Monthly series keep the day of month, falling back to the month's last day.
+  expandDates(startDate, rule) {
+    const start = dayjs(startDate);
+    const unit = rule.frequency === 'weekly' ? 'week' : 'month';
+
+    const dates = [];
+    for (let i = 0; i < rule.count; i++) {
+      dates.push(start.add(i * rule.interval, unit).format('YYYY-MM-DD'));
+    }
+    return dates;
+  }
+
+  // Availability of every occurrence, with alternatives for the ones that clash
+  async checkOccurrences(dates, time, options) {
+    const occurrences = [];
+
+    for (let i = 0; i < dates.length; i++) {
+      const available = await schedulingService.isSlotAvailable(dates[i], time, options);
+      occurrences.push({
+        index: i + 1,
+        date: dates[i],
+        time,
+        available,
+        ...(!available && {
+          alternatives: await schedulingService.findAlternatives(dates[i], time, options)
+        })
+      });
+    }
+
+    return occurrences;
+  }
+
+  buildConflictError(occurrences) {
+    const error = new Error('Some occurrences of the series are not available');
+    error.statusCode = 409;
+    error.occurrences = occurrences;
+    return error;
+  }
+
+  // Reserve and create every occurrence, or none of them. `fields` holds the
+  // appointment fields shared by all occurrences.
+  async createSeries(fields, startDate, rule) {
+    const dates = this.expandDates(startDate, rule);
+    const occurrences = await this.checkOccurrences(dates, fields.appointmentTime, { duration: fields.duration });
+
+    if (occurrences.some(occurrence => !occurrence.available)) {
+      throw this.buildConflictError(occurrences);
+    }
+
+    const seriesId = crypto.randomUUID();
+    const appointments = dates.map((date, i) => new Appointment({
+      ...fields,
+      appointmentDate: new Date(date),
+      series: { id: seriesId, index: i + 1, total: dates.length, rule }
+    }));
+
+    const reserved = [];
+    try {
+      for (const appointment of appointments) {
+        await schedulingService.reserveSlots(appointment);
+        reserved.push(appointment);
+      }
+      for (const appointment of appointments) {
+        await appointment.save();
+      }
+    } catch (error) {
+      await Promise.all(reserved.map(appointment => schedulingService.releaseSlots(appointment._id)));
+      await Appointment.deleteMany({ 'series.id': seriesId });
+
+      if (error.statusCode === 409) {
+        // Someone else booked one of the slots between the check and the reservation
+        const clashIndex = reserved.length;
+        occurrences[clashIndex] = {
+          ...occurrences[clashIndex],
+          available: false,
+          alternatives: error.alternatives
+        };
+        throw this.buildConflictError(occurrences);
+      }
+      throw error;
+    }
+
+    return { seriesId, appointments };
+  }
+
+  // Move the given upcoming occurrences to a new start date and time, keeping
+  // the series' recurrence rule. All of them move or none do.
+  async rescheduleSeries(appointments, startDate, time, userId) {
+    const { frequency, interval } = appointments[0].series.rule;
+    const rule = { frequency, interval, count: appointments.length };
+    const dates = this.expandDates(startDate, rule);
+    const ids = appointments.map(appointment => appointment._id);
+
+    const occurrences = [];
+    for (let i = 0; i < dates.length; i++) {
+      const options = { duration: appointments[i].duration, excludeAppointmentId: ids };
+      const available = await schedulingService.isSlotAvailable(dates[i], time, options);
+      occurrences.push({
+        index: appointments[i].series.index,
+        date: dates[i],
+        time,
+        available,
+        ...(!available && {
+          alternatives: await schedulingService.findAlternatives(dates[i], time, options)
+        })
+      });
+    }
+
+    if (occurrences.some(occurrence => !occurrence.available)) {
+      throw this.buildConflictError(occurrences);
+    }
+
+    const previous = appointments.map(appointment => ({
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime,
+      startsAt: appointment.startsAt
+    }));
+
+    appointments.forEach((appointment, i) => {
+      appointment.appointmentDate = new Date(dates[i]);
+      appointment.appointmentTime = time;
+    });
+
+    // The new slots are secured before the old ones are let go, so a booking
+    // never goes without a hold
+    try {
+      await schedulingService.moveSlots(appointments);
+    } catch (error) {
+      appointments.forEach((appointment, i) => {
+        appointment.appointmentDate = previous[i].appointmentDate;
+        appointment.appointmentTime = previous[i].appointmentTime;
+      });
+
+      if (error.statusCode === 409) {
+        occurrences[error.index] = {
+          ...occurrences[error.index],
+          available: false,
+          alternatives: error.alternatives
+        };
+        throw this.buildConflictError(occurrences);
+      }
+      throw error;
+    }
+
+    for (let i = 0; i < appointments.length; i++) {
+      appointments[i].rescheduleHistory.push({
+        ...previous[i],
+        rescheduledBy: userId,
+        reason: 'Series rescheduled'
+      });
+      // Moving the series counts against each occurrence's reschedule limit
+      appointments[i].rescheduleCount += 1;
+      await appointments[i].save();
+    }
+
+    return appointments;
+  }
+}
+
+module.exports = new SeriesService();
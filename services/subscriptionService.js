@@ -0,0 +1,145 @@
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+
+// Subscriptions in these states block a second one for the same client
+const LIVE_STATUSES = ['authenticated', 'active', 'pending', 'halted'];
+
+const subscriptionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+class SubscriptionService {
+  async findPlan(slug) {
+    const plan = await SubscriptionPlan.findOne({ slug: String(slug || '').toLowerCase(), isActive: true });
+    if (!plan) {
+      throw subscriptionError('Plan not found or no longer available', 404);
+    }
+    return plan;
+  }
+
+  isLive(subscription) {
+    return LIVE_STATUSES.includes(subscription.status);
+  }
+
+  // The subscription a client can book with, if any
+  getCurrentSubscription(userId) {
+    return Subscription.findOne({ user: userId, status: { $in: LIVE_STATUSES } }).sort({ createdAt: -1 });
+  }
+
+  // Start a subscription to the plan. It stays "created" until the client
+  // completes the first payment.
+  async createSubscription(userId, plan) {
+    if (await this.getCurrentSubscription(userId)) {
+      throw subscriptionError('You already have a membership');
+    }
+
+    return Subscription.create({
+      user: userId,
+      plan: plan._id,
+      planSnapshot: {
+        slug: plan.slug,
+        name: plan.name,
+        price: plan.price,
+        currency: plan.currency,
+        billingPeriod: plan.billingPeriod,
+        billingInterval: plan.billingInterval,
+        sessionsPerCycle: plan.sessionsPerCycle,
+        packages: plan.packages
+      }
+    });
+  }
+
+  // Copy the status and current cycle reported by Razorpay
+  applyGatewayState(subscription, entity) {
+    subscription.status = entity.status;
+    if (entity.current_start) subscription.currentPeriodStart = fromUnixTime(entity.current_start);
+    if (entity.current_end) subscription.currentPeriodEnd = fromUnixTime(entity.current_end);
+    if (entity.status === 'cancelled' && !subscription.cancelledAt) {
+      subscription.cancelledAt = fromUnixTime(entity.ended_at) || new Date();
+    }
+  }
+
+  // A payment for a cycle renews the allowance. Returns false if the payment
+  // was already counted, e.g. by both the checkout and the webhook.
+  async recordCharge(subscription, entity, payment) {
+    const periodStart = fromUnixTime(entity.current_start) || new Date();
+    const periodEnd = fromUnixTime(entity.current_end);
+
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, 'charges.paymentId': { $ne: payment.id } },
+      {
+        status: 'active',
+        currentPeriodStart: periodStart,
+        currentPeriodEnd: periodEnd,
+        allowance: { total: subscription.planSnapshot.sessionsPerCycle, used: 0 },
+        $push: {
+          charges: {
+            paymentId: payment.id,
+            amount: payment.amount / 100,
+            periodStart,
+            periodEnd,
+            chargedAt: fromUnixTime(payment.created_at) || new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return false;
+
+    subscription.set(updated.toObject());
+    return true;
+  }
+
+  canBook(subscription, packageSlug) {
+    const { packages } = subscription.planSnapshot;
+    return packages.length === 0 || packages.includes(packageSlug);
+  }
+
+  // Take one session of the current cycle for the appointment, which is then
+  // paid for. Throws a 400 when nothing is left.
+  async useAllowance(subscription, appointment) {
+    if (!this.canBook(subscription, appointment.package)) {
+      throw subscriptionError('Your membership does not cover this package');
+    }
+
+    const result = await Subscription.updateOne(
+      {
+        _id: subscription._id,
+        status: 'active',
+        currentPeriodEnd: { $gt: new Date() },
+        $expr: { $lt: ['$allowance.used', '$allowance.total'] }
+      },
+      { $inc: { 'allowance.used': 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      throw subscriptionError('No membership sessions left in this billing cycle');
+    }
+
+    appointment.subscription = subscription._id;
+    appointment.amount = 0;
+    appointment.paymentStatus = 'completed';
+    appointment.paidAt = new Date();
+    appointment.status = 'confirmed';
+  }
+
+  // Give the session back when its booking is cancelled in the same cycle
+  async releaseAllowance(appointment) {
+    if (!appointment.subscription) return false;
+
+    const result = await Subscription.updateOne(
+      {
+        _id: appointment.subscription,
+        currentPeriodStart: { $lte: appointment.createdAt || new Date() },
+        'allowance.used': { $gt: 0 }
+      },
+      { $inc: { 'allowance.used': -1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new SubscriptionService();
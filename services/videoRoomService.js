@@ -0,0 +1,338 @@
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const dailyService = require('./dailyService');
+const jobQueue = require('./jobQueue');
+const recordingService = require('./recordingService');
+const { sendEmail } = require('../utils/sendEmail');
+
+const MINUTE = 60 * 1000;
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+const joinError = (statusCode, message, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.data = data;
+  return error;
+};
+
+// e.g. 5400 -> "1 hour 30 minutes"
+const formatWait = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  return [
+    days && plural(days, 'day'),
+    hours && plural(hours, 'hour'),
+    (rest || minutes === 0) && plural(rest, 'minute')
+  ].filter(Boolean).join(' ');
+};
+
+class VideoRoomService {
+  constructor() {
+    // How early participants can join, and how long the room stays open after the end
+    this.openMinutes = parseInt(process.env.VIDEO_ROOM_OPEN_MINUTES, 10) || 10;
+    this.graceMinutes = parseInt(process.env.VIDEO_ROOM_GRACE_MINUTES, 10) || 30;
+    // How long before the start the join link is emailed
+    this.joinLinkMinutes = parseInt(process.env.JOIN_LINK_LEAD_MINUTES, 10) || 15;
+    // How long a room is kept after its call ends
+    this.cleanupMinutes = parseInt(process.env.ROOM_CLEANUP_DELAY_MINUTES, 10) || 60;
+  }
+
+  // The room opens a little before the appointment starts and closes a while after it ends
+  getRoomWindow(appointment) {
+    const endsAt = appointment.endsAt || new Date(appointment.startsAt.getTime() + appointment.duration * MINUTE);
+    return {
+      notBefore: new Date(appointment.startsAt.getTime() - this.openMinutes * MINUTE),
+      expiresAt: new Date(endsAt.getTime() + this.graceMinutes * MINUTE)
+    };
+  }
+
+  // Tokens are only handed out for paid, confirmed bookings while their room
+  // is open. Throws a 400 or 403 with the time left until it opens, if any.
+  checkJoinWindow(appointment, now = new Date()) {
+    if (appointment.paymentStatus !== 'completed' || !['confirmed', 'in-progress'].includes(appointment.status)) {
+      throw joinError(400, 'Only confirmed, paid appointments can be joined');
+    }
+    if (!appointment.startsAt) {
+      throw joinError(400, 'Appointment has no scheduled start time');
+    }
+
+    const window = this.getRoomWindow(appointment);
+    if (now < window.notBefore) {
+      const opensInSeconds = Math.ceil((window.notBefore - now) / 1000);
+      throw joinError(403, `The room opens in ${formatWait(opensInSeconds)}`, {
+        opensAt: window.notBefore,
+        opensInSeconds
+      });
+    }
+    if (now >= window.expiresAt) {
+      throw joinError(403, 'This consultation has ended', { closedAt: window.expiresAt });
+    }
+
+    return window;
+  }
+
+  // Create the room of a paid appointment, or move the window of the one it
+  // already has. Saves the appointment.
+  async provisionRoom(appointment) {
+    const window = this.getRoomWindow(appointment);
+
+    const existing = Boolean(appointment.videoCall?.roomName);
+    const room = existing
+      ? await dailyService.updateRoomWindow(appointment.videoCall.roomName, window)
+      : await dailyService.createRoom(appointment._id, { ...window, enableRecording: !appointment.recordingOptOut });
+
+    // A moved appointment gets its join link again before the new time
+    if (existing && appointment.videoCall.opensAt?.getTime() !== window.notBefore.getTime()) {
+      appointment.set('videoCall.joinLinkSentAt', undefined);
+    }
+    appointment.set({
+      'videoCall.roomName': room.roomName,
+      'videoCall.roomUrl': room.roomUrl,
+      'videoCall.opensAt': window.notBefore,
+      'videoCall.expiresAt': window.expiresAt
+    });
+    await appointment.save();
+    return appointment.videoCall;
+  }
+
+  // Provision the room once an appointment is paid. Never throws, so a payment
+  // is never rejected because of its room; the join link sweep retries later.
+  async provisionPaidAppointment(appointment) {
+    if (appointment.paymentStatus !== 'completed' || !appointment.startsAt) return null;
+
+    try {
+      return await this.provisionRoom(appointment);
+    } catch (error) {
+      console.error(`❌ Video room for appointment ${appointment._id} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Email the join link for appointments starting soon. Each link is sent once.
+  async sendJoinLinks(now = new Date()) {
+    const appointments = await Appointment.find({
+      status: 'confirmed',
+      paymentStatus: 'completed',
+      startsAt: { $gt: now, $lte: new Date(now.getTime() + this.joinLinkMinutes * MINUTE) },
+      'videoCall.joinLinkSentAt': null
+    });
+
+    let sent = 0;
+    for (const appointment of appointments) {
+      try {
+        if (!appointment.videoCall?.roomUrl) {
+          await this.provisionRoom(appointment);
+        }
+
+        const claimed = await Appointment.updateOne(
+          { _id: appointment._id, 'videoCall.joinLinkSentAt': null },
+          { 'videoCall.joinLinkSentAt': new Date() }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        try {
+          await this.emailJoinLink(appointment);
+        } catch (error) {
+          // Let the next sweep try again
+          await Appointment.updateOne({ _id: appointment._id }, { 'videoCall.joinLinkSentAt': null });
+          throw error;
+        }
+        sent += 1;
+      } catch (error) {
+        console.error(`❌ Join link for appointment ${appointment._id} failed:`, error.message);
+      }
+    }
+    return sent;
+  }
+
+  async emailJoinLink(appointment) {
+    const client = await User.findById(appointment.user);
+    if (!client) return;
+
+    const { client: local } = appointment.schedule;
+
+    await sendEmail({
+      email: client.email,
+      subject: `Your consultation starts at ${local.time} - join link`,
+      message: `
+        Dear ${client.firstName},
+
+        Your ${appointment.packageSnapshot?.name || appointment.package} consultation starts ${local.label} (${local.timezone}).
+
+        Join the video call here:
+        ${process.env.FRONTEND_URL}/video-call/${appointment._id}
+
+        The room opens ${this.openMinutes} minutes before the start time.
+
+        Best regards,
+        ${process.env.ASTROLOGER_NAME}
+      `
+    });
+  }
+
+  // Queue the room for deletion once the call has ended. Survives restarts,
+  // unlike a timer in the web process.
+  scheduleRoomDeletion(appointment, delayMinutes = this.cleanupMinutes) {
+    const roomName = appointment.videoCall?.roomName;
+    if (!roomName) return null;
+
+    return jobQueue.enqueue('delete-room', { roomName, appointmentId: appointment._id.toString() }, {
+      runAt: new Date(Date.now() + delayMinutes * MINUTE),
+      uniqueKey: `delete-room:${roomName}`
+    });
+  }
+
+  async deleteRoom({ roomName, appointmentId }) {
+    await dailyService.deleteRoom(roomName);
+    if (appointmentId) {
+      await Appointment.updateOne({ _id: appointmentId }, { 'videoCall.roomDeletedAt': new Date() });
+    }
+  }
+
+  // Paid bookings whose room has closed without the call ever starting
+  async markNoShows(now = new Date()) {
+    const appointments = await Appointment.find({
+      status: 'confirmed',
+      paymentStatus: 'completed',
+      'videoCall.startedAt': null,
+      endsAt: { $lt: new Date(now.getTime() - this.graceMinutes * MINUTE) }
+    });
+
+    for (const appointment of appointments) {
+      const marked = await Appointment.updateOne(
+        { _id: appointment._id, status: 'confirmed' },
+        { status: 'no-show' }
+      );
+      if (marked.modifiedCount > 0) {
+        console.log(`🚫 Appointment ${appointment._id} marked as no-show`);
+        await this.scheduleRoomDeletion(appointment, 0);
+      }
+    }
+    return appointments.length;
+  }
+
+  // Delete Daily rooms that have expired, or whose appointment is gone or
+  // cancelled. Rooms not named after an appointment are left alone.
+  async reconcileRooms(now = new Date()) {
+    const rooms = await dailyService.listRooms();
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+
+    let queued = 0;
+    for (const room of rooms) {
+      const match = /^consultation-([a-f0-9]{24})$/.exec(room.name);
+      if (!match) continue;
+
+      const appointment = await Appointment.findById(match[1]).select('status');
+      const expired = room.config?.exp && room.config.exp < nowSeconds;
+      if (appointment && appointment.status !== 'cancelled' && !expired) continue;
+
+      await jobQueue.enqueue('delete-room', {
+        roomName: room.name,
+        ...(appointment && { appointmentId: appointment._id.toString() })
+      }, { uniqueKey: `delete-room:${room.name}` });
+      queued += 1;
+    }
+    return queued;
+  }
+
+  // Call events reported by Daily, which are what the call timing relies on
+  // rather than the clients' own /call-status reports
+  async handleWebhookEvent(body) {
+    const payload = body.payload || {};
+    const roomName = payload.room || payload.room_name;
+    if (!roomName) return 'No room in event';
+
+    const appointment = await Appointment.findOne({ 'videoCall.roomName': roomName });
+    if (!appointment) return `No appointment for room ${roomName}`;
+
+    switch (body.type) {
+      case 'meeting.started':
+        return this.recordMeetingStarted(appointment, payload);
+      case 'meeting.ended':
+        return this.recordMeetingEnded(appointment, payload);
+      case 'participant.joined':
+        return this.recordParticipantJoined(appointment, payload);
+      case 'participant.left':
+        return this.recordParticipantLeft(appointment, payload);
+      case 'recording.ready-to-download':
+        return recordingService.addRecording(appointment, payload);
+      default:
+        return `Ignored ${body.type}`;
+    }
+  }
+
+  async recordMeetingStarted(appointment, payload) {
+    appointment.videoCall.isActive = true;
+    appointment.videoCall.startedAt = fromUnixTime(payload.start_ts) || new Date();
+    if (appointment.status === 'confirmed') {
+      appointment.status = 'in-progress';
+    }
+    await appointment.save();
+    return 'Meeting start recorded';
+  }
+
+  async recordMeetingEnded(appointment, payload) {
+    appointment.videoCall.isActive = false;
+    appointment.videoCall.startedAt = appointment.videoCall.startedAt || fromUnixTime(payload.start_ts);
+    appointment.videoCall.endedAt = fromUnixTime(payload.end_ts) || new Date();
+    if (['confirmed', 'in-progress'].includes(appointment.status)) {
+      appointment.status = 'completed';
+    }
+    this.updateAttendedMinutes(appointment);
+    await appointment.save();
+    await this.scheduleRoomDeletion(appointment);
+    return 'Meeting end recorded';
+  }
+
+  async recordParticipantJoined(appointment, payload) {
+    const { participants } = appointment.videoCall;
+    if (!participants.some(participant => participant.sessionId === payload.session_id)) {
+      participants.push({
+        sessionId: payload.session_id,
+        userName: payload.user_name,
+        isOwner: Boolean(payload.owner),
+        joinedAt: fromUnixTime(payload.joined_at) || new Date()
+      });
+      await appointment.save();
+    }
+    return 'Participant join recorded';
+  }
+
+  async recordParticipantLeft(appointment, payload) {
+    const { participants } = appointment.videoCall;
+    let participant = participants.find(entry => entry.sessionId === payload.session_id);
+    if (!participant) {
+      // The join event may arrive late or not at all
+      participants.push({
+        sessionId: payload.session_id,
+        userName: payload.user_name,
+        isOwner: Boolean(payload.owner),
+        joinedAt: fromUnixTime(payload.joined_at)
+      });
+      participant = participants[participants.length - 1];
+    }
+
+    participant.durationSeconds = payload.duration;
+    participant.leftAt = participant.joinedAt && payload.duration !== undefined
+      ? new Date(participant.joinedAt.getTime() + payload.duration * 1000)
+      : new Date();
+    this.updateAttendedMinutes(appointment);
+    await appointment.save();
+    return 'Participant leave recorded';
+  }
+
+  // Time the client (any participant but the owner) spent in the call, over all their sessions
+  updateAttendedMinutes(appointment) {
+    const seconds = appointment.videoCall.participants
+      .filter(participant => !participant.isOwner)
+      .reduce((total, participant) => total + (participant.durationSeconds || 0), 0);
+    appointment.videoCall.attendedMinutes = Math.round(seconds / 60);
+  }
+}
+
+module.exports = new VideoRoomService();
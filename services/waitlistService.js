@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const Waitlist = require('../models/Waitlist');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Package = require('../models/Package');
+const schedulingService = require('./schedulingService');
+const { sendEmail } = require('../utils/sendEmail');
+const { zonedTimeToUtc, formatInZone } = require('../utils/timezone');
+const { getUserCurrency } = require('../utils/currency');
+
+class WaitlistService {
+  constructor() {
+    this.claimMinutes = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 30;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // A booking was cancelled: offer its slot to the next matching client
+  async handleCancellation(appointment, io) {
+    try {
+      const date = schedulingService.toDateString(appointment.appointmentDate);
+      const time = schedulingService.normalizeTime(appointment.appointmentTime);
+      return await this.offerSlot(date, time, io);
+    } catch (error) {
+      console.error('❌ Failed to offer freed slot to waitlist:', error);
+      return null;
+    }
+  }
+
+  // Offer a slot to the longest-waiting client whose date range and
+  // preferred times cover it and whose session still fits there
+  async offerSlot(date, time, io) {
+    if (zonedTimeToUtc(date, time) <= new Date()) return null;
+
+    const candidates = await Waitlist.find({
+      status: 'waiting',
+      fromDate: { $lte: date },
+      toDate: { $gte: date },
+      missedSlots: { $ne: `${date}T${time}` },
+      $or: [{ preferredTimes: { $size: 0 } }, { preferredTimes: time }]
+    }).sort({ createdAt: 1 });
+
+    for (const entry of candidates) {
+      const fits = await schedulingService.isSlotAvailable(date, time, { duration: entry.duration });
+      if (fits && await this.makeOffer(entry, date, time, io)) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  async makeOffer(entry, date, time, io) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + this.claimMinutes * 60 * 1000);
+    const startsAt = zonedTimeToUtc(date, time);
+
+    // Only one offer per entry at a time, even if two slots open together
+    const offered = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offer: { date, time, startsAt, tokenHash: this.hashToken(token), offeredAt, expiresAt }
+      },
+      { new: true }
+    );
+    if (!offered) return false;
+
+    const held = await schedulingService.holdForWaitlist(offered, date, time, expiresAt);
+    if (!held) {
+      await Waitlist.updateOne({ _id: offered._id }, { status: 'waiting', $unset: { offer: 1 } });
+      return false;
+    }
+
+    await this.notifyOffer(offered, token, io);
+    return true;
+  }
+
+  async notifyOffer(entry, token, io) {
+    const claimUrl = `${process.env.FRONTEND_URL}/waitlist/claim/${token}`;
+    const localStart = formatInZone(entry.offer.startsAt, entry.timezone);
+
+    if (io) {
+      io.to(entry.user.toString()).emit('waitlist-offer', {
+        waitlistId: entry._id,
+        date: entry.offer.date,
+        time: entry.offer.time,
+        startsAt: entry.offer.startsAt,
+        expiresAt: entry.offer.expiresAt,
+        claimUrl
+      });
+    }
+
+    try {
+      const client = await User.findById(entry.user);
+      if (!client) return;
+
+      await sendEmail({
+        email: client.email,
+        subject: 'A consultation slot has opened up for you',
+        message: `
+          Dear ${client.firstName},
+
+          A slot you were waiting for is now free: ${localStart.label} (${localStart.timezone}).
+
+          It is held for you for the next ${this.claimMinutes} minutes. Claim it here:
+          ${claimUrl}
+
+          If you don't claim it in time, it will be offered to the next client on the waitlist.
+
+          Best regards,
+          ${process.env.ASTROLOGER_NAME}
+        `
+      });
+    } catch (error) {
+      console.error('Waitlist offer email failed:', error);
+    }
+  }
+
+  // Turn a valid claim token into a pending appointment on the held slot
+  async claimOffer(token, userId) {
+    const entry = await Waitlist.findOne({ 'offer.tokenHash': this.hashToken(token) });
+
+    if (!entry || entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+      const error = new Error('This waitlist offer is no longer available');
+      error.statusCode = 410;
+      throw error;
+    }
+
+    if (entry.user.toString() !== userId) {
+      const error = new Error('Not authorized to claim this offer');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const pkg = await Package.findOne({ _id: entry.package, isActive: true });
+    if (!pkg) {
+      const error = new Error('The package for this waitlist entry is no longer offered');
+      error.statusCode = 410;
+      throw error;
+    }
+
+    const client = await User.findById(entry.user);
+    const packageSnapshot = pkg.toSnapshot(getUserCurrency(client));
+
+    const appointment = new Appointment({
+      user: entry.user,
+      appointmentDate: new Date(entry.offer.date),
+      appointmentTime: entry.offer.time,
+      clientTimezone: entry.timezone,
+      consultationType: entry.consultationType,
+      intakeAnswers: entry.intakeAnswers,
+      package: pkg.slug,
+      packageSnapshot,
+      amount: packageSnapshot.price,
+      currency: packageSnapshot.currency,
+      duration: pkg.duration,
+      status: 'pending',
+      paymentStatus: 'pending'
+    });
+
+    // Guard against the offer expiring while this request is in flight
+    const claimed = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { status: 'claimed', appointment: appointment._id },
+      { new: true }
+    );
+    if (!claimed) {
+      const error = new Error('This waitlist offer is no longer available');
+      error.statusCode = 410;
+      throw error;
+    }
+
+    await schedulingService.transferWaitlistHold(entry._id, appointment._id);
+    await schedulingService.reserveSlots(appointment);
+    await appointment.save();
+
+    return appointment;
+  }
+
+  // Pass lapsed offers on to the next client and close out entries whose
+  // date range has gone by
+  async expireOffers(io) {
+    const lapsed = await Waitlist.find({ status: 'offered', 'offer.expiresAt': { $lte: new Date() } });
+
+    for (const entry of lapsed) {
+      const { date, time } = entry.offer;
+      const reset = await Waitlist.findOneAndUpdate(
+        { _id: entry._id, status: 'offered' },
+        {
+          status: 'waiting',
+          $unset: { offer: 1 },
+          $push: { missedSlots: `${date}T${time}` }
+        }
+      );
+      if (!reset) continue;
+
+      await schedulingService.releaseWaitlistHold(entry._id);
+      await this.offerSlot(date, time, io);
+    }
+
+    const today = formatInZone(new Date()).date;
+    await Waitlist.updateMany({ status: 'waiting', toDate: { $lt: today } }, { status: 'expired' });
+  }
+}
+
+module.exports = new WaitlistService();
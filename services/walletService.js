@@ -0,0 +1,120 @@
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const walletError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class WalletService {
+  constructor() {
+    this.minTopup = Number(process.env.WALLET_MIN_TOPUP || 100);
+    this.maxTopup = Number(process.env.WALLET_MAX_TOPUP || 50000);
+  }
+
+  async getBalance(userId) {
+    const user = await User.findById(userId).select('walletBalance');
+    return user ? user.walletBalance : 0;
+  }
+
+  async getTransactions(userId, limit = 50) {
+    return WalletTransaction.find({ user: userId }).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  // Move the balance and add the matching ledger entry. Debits never take the
+  // balance below zero. An entry whose reference was already applied is
+  // skipped and null returned.
+  async applyEntry(userId, amount, details) {
+    amount = round2(amount);
+    if (details.reference && await WalletTransaction.exists({ reference: details.reference })) {
+      return null;
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, ...(amount < 0 && { walletBalance: { $gte: -amount } }) },
+      { $inc: { walletBalance: amount } },
+      { new: true }
+    );
+    if (!user) {
+      throw amount < 0
+        ? walletError('Insufficient wallet balance')
+        : walletError('User not found', 404);
+    }
+
+    try {
+      return await WalletTransaction.create({
+        ...details,
+        user: userId,
+        amount,
+        balanceAfter: round2(user.walletBalance)
+      });
+    } catch (error) {
+      await User.updateOne({ _id: userId }, { $inc: { walletBalance: -amount } });
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  credit(userId, amount, details) {
+    if (!(amount > 0)) throw walletError('Credit amount must be positive');
+    return this.applyEntry(userId, amount, details);
+  }
+
+  debit(userId, amount, details) {
+    if (!(amount > 0)) throw walletError('Debit amount must be positive');
+    return this.applyEntry(userId, -amount, details);
+  }
+
+  validateTopupAmount(amount) {
+    if (!(amount >= this.minTopup && amount <= this.maxTopup)) {
+      throw walletError(`Top-up amount must be between ₹${this.minTopup} and ₹${this.maxTopup}`);
+    }
+  }
+
+  // Pay as much of an unpaid appointment as the wallet covers. The appointment
+  // is saved by the caller.
+  async payAppointment(appointment) {
+    // The wallet holds rupees, so it can only pay for bookings priced in them
+    if ((appointment.currency || DEFAULT_CURRENCY) !== DEFAULT_CURRENCY) return null;
+
+    const balance = await this.getBalance(appointment.user);
+    const amount = round2(Math.min(balance, appointment.amount - appointment.walletAmount));
+    if (amount <= 0) return null;
+
+    const entry = await this.debit(appointment.user, amount, {
+      type: 'debit',
+      appointment: appointment._id,
+      note: 'Consultation booking'
+    });
+
+    appointment.walletAmount = round2(appointment.walletAmount + amount);
+    appointment.walletDebits.push(entry._id);
+    return entry;
+  }
+
+  // Give back the wallet part of an appointment that was never paid in full,
+  // e.g. when checkout fails or the booking is priced again. The appointment
+  // is saved by the caller.
+  async releaseAppointment(appointment) {
+    for (const debitId of appointment.walletDebits) {
+      const debit = await WalletTransaction.findById(debitId);
+      if (!debit) continue;
+
+      await this.credit(appointment.user, -debit.amount, {
+        type: 'reversal',
+        appointment: appointment._id,
+        reference: `reversal:${debit._id}`,
+        note: 'Booking not completed'
+      });
+    }
+
+    appointment.walletAmount = 0;
+    appointment.walletDebits = [];
+  }
+}
+
+module.exports = new WalletService();
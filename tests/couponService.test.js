@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Coupon = require('../models/Coupon');
+const couponService = require('../services/couponService');
+
+const createAppointment = () => new Appointment({
+  user: new mongoose.Types.ObjectId(),
+  appointmentDate: new Date('2030-01-15'),
+  appointmentTime: '10:00',
+  consultationType: 'general',
+  package: 'basic',
+  amount: 400,
+  duration: 30,
+  coupon: { couponId: new mongoose.Types.ObjectId(), code: 'WELCOME', discountType: 'flat', discountValue: 100, discount: 100 }
+});
+
+// The coupon's per-client rules, as redeem() reads them
+const mockCoupon = (rules = {}) => jest.spyOn(Coupon, 'findById').mockReturnValue({
+  select: async () => ({ perUserLimit: 1, firstBookingOnly: false, ...rules })
+});
+
+beforeEach(() => {
+  mockCoupon();
+  jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(1);
+  jest.spyOn(Appointment, 'exists').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('redeem', () => {
+  it('counts the coupon only while it is under its usage limit', async () => {
+    const appointment = createAppointment();
+    jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(couponService.redeem(appointment)).resolves.toBe(true);
+
+    const [filter, update] = Coupon.updateOne.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { usageLimit: { $in: [null, 0] } },
+      { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+    ]);
+    expect(update).toEqual({ $inc: { usedCount: 1 } });
+    expect(appointment.coupon.redeemedAt).toBeInstanceOf(Date);
+  });
+
+  it('refuses an exhausted coupon and leaves the booking unredeemed', async () => {
+    const appointment = createAppointment();
+    jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(couponService.redeem(appointment))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This coupon has reached its usage limit' });
+
+    expect(Appointment.updateOne).toHaveBeenLastCalledWith({ _id: appointment._id }, { 'coupon.redeemedAt': null });
+    expect(appointment.coupon.redeemedAt).toBeUndefined();
+  });
+
+  it('refuses a client who used up their share of the coupon on another booking', async () => {
+    const appointment = createAppointment();
+    jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Coupon, 'updateOne');
+
+    await expect(couponService.redeem(appointment))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You have already used this coupon' });
+
+    expect(Appointment.countDocuments).toHaveBeenCalledWith({
+      user: appointment.user,
+      'coupon.code': 'WELCOME',
+      'coupon.redeemedAt': { $ne: null }
+    });
+    expect(Appointment.updateOne).toHaveBeenLastCalledWith({ _id: appointment._id }, { 'coupon.redeemedAt': null });
+    expect(Coupon.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses a first-booking coupon once the client has another paid booking', async () => {
+    const appointment = createAppointment();
+    mockCoupon({ firstBookingOnly: true });
+    jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Appointment, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(Coupon, 'updateOne');
+
+    await expect(couponService.redeem(appointment))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This coupon is only valid on your first booking' });
+
+    expect(Appointment.exists.mock.calls[0][0]._id).toEqual({ $ne: appointment._id });
+    expect(Appointment.updateOne).toHaveBeenLastCalledWith({ _id: appointment._id }, { 'coupon.redeemedAt': null });
+    expect(Coupon.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('does not count the same booking twice', async () => {
+    jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Coupon, 'updateOne');
+
+    await expect(couponService.redeem(createAppointment())).resolves.toBe(false);
+    expect(Coupon.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const invoiceService = require('../services/invoiceService');
+
+const key = { appointment: new mongoose.Types.ObjectId() };
+const issuedAt = new Date('2030-01-15T10:00:00Z');
+
+const unnumbered = () => ({ _id: new mongoose.Types.ObjectId(), issuedAt });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createInvoice', () => {
+  it('numbers an invoice it claims', async () => {
+    const invoice = unnumbered();
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(invoice);
+    jest.spyOn(Invoice, 'findOneAndUpdate')
+      .mockResolvedValueOnce(invoice)
+      .mockImplementationOnce(async (filter, update) => ({ ...invoice, invoiceNumber: update.invoiceNumber }));
+    jest.spyOn(Counter, 'next').mockResolvedValue(7);
+
+    const { invoice: issued, created } = await invoiceService.createInvoice(key, null, () => ({}));
+
+    expect(created).toBe(true);
+    expect(issued.invoiceNumber).toBe(`${invoiceService.prefix}/2029-30/00007`);
+    const [claim] = Invoice.findOneAndUpdate.mock.calls[0];
+    expect(claim.invoiceNumber).toEqual({ $exists: false });
+  });
+
+  it('takes no number for an invoice another call has claimed', async () => {
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(unnumbered());
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Counter, 'next');
+
+    const { created } = await invoiceService.createInvoice(key, null, () => ({}));
+
+    expect(created).toBe(false);
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('voids a number taken for a claim that was lost', async () => {
+    const invoice = unnumbered();
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(invoice);
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockResolvedValueOnce(invoice).mockResolvedValueOnce(null);
+    jest.spyOn(Counter, 'next').mockResolvedValue(8);
+    jest.spyOn(Counter, 'void').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { created } = await invoiceService.createInvoice(key, null, () => ({}));
+
+    expect(created).toBe(false);
+    expect(Counter.void).toHaveBeenCalledWith('invoice-2029-30', `${invoiceService.prefix}/2029-30/00008`);
+  });
+});
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.RAZORPAY_KEY_SECRET = 'test_key_secret';
+
+jest.mock('../utils/sendEmail');
+
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const paymentService = require('../services/paymentService');
+const schedulingService = require('../services/schedulingService');
+
+const sign = (orderId, paymentId) => crypto
+  .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+  .update(`${orderId}|${paymentId}`)
+  .digest('hex');
+
+// Stands in for the Razorpay API, keeping orders, payments and refunds in memory
+const createFakeGateway = () => {
+  const orders = new Map();
+  const payments = new Map();
+  let refundCount = 0;
+
+  return {
+    orders,
+    payments,
+    instantRefunds: true,
+    createOrder: jest.fn(async ({ amount, currency, receipt, notes }) => {
+      const order = { id: `order_${orders.size + 1}`, amount, currency, receipt, notes, status: 'created' };
+      orders.set(order.id, order);
+      return order;
+    }),
+    fetchOrder: jest.fn(async (orderId) => orders.get(orderId)),
+    fetchPayment: jest.fn(async (paymentId) => payments.get(paymentId)),
+    createRefund: jest.fn(async function(paymentId, { amount }) {
+      refundCount += 1;
+      return {
+        id: `rfnd_${refundCount}`,
+        payment_id: paymentId,
+        amount,
+        currency: payments.get(paymentId).currency,
+        status: this.instantRefunds ? 'processed' : 'pending'
+      };
+    }),
+    // What the checkout does: pay an order in full
+    pay(orderId, status = 'captured') {
+      const order = orders.get(orderId);
+      const payment = {
+        id: `pay_${payments.size + 1}`,
+        order_id: orderId,
+        amount: order.amount,
+        currency: order.currency,
+        status,
+        created_at: Math.floor(Date.now() / 1000)
+      };
+      payments.set(payment.id, payment);
+      return payment;
+    }
+  };
+};
+
+const createAppointment = (fields = {}) => {
+  const appointment = new Appointment({
+    user: new mongoose.Types.ObjectId(),
+    appointmentDate: new Date('2030-01-15'),
+    appointmentTime: '10:00',
+    consultationType: 'general',
+    package: 'basic',
+    amount: 500,
+    currency: 'INR',
+    duration: 30,
+    ...fields
+  });
+  jest.spyOn(appointment, 'save').mockResolvedValue(appointment);
+  return appointment;
+};
+
+let gateway;
+let ledger;
+
+beforeEach(() => {
+  gateway = createFakeGateway();
+  paymentService.setGateway(gateway);
+
+  // The ledger's unique reference index, in memory
+  ledger = new Map();
+  jest.spyOn(Payment, 'create').mockImplementation(async (entry) => {
+    if (entry.reference && ledger.has(entry.reference)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const payment = { ...entry, _id: new mongoose.Types.ObjectId() };
+    ledger.set(entry.reference, payment);
+    return payment;
+  });
+  jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ acknowledged: true });
+  jest.spyOn(paymentService, 'afterCapture').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createOrder', () => {
+  it('creates an order for the amount left after the wallet, in minor units', async () => {
+    const appointment = createAppointment({ amount: 750.5, walletAmount: 250 });
+
+    const order = await paymentService.createOrder(appointment);
+
+    expect(order.amount).toBe(50050);
+    expect(order.currency).toBe('INR');
+    expect(order.notes.appointmentId).toBe(appointment._id.toString());
+  });
+
+  it('uses the appointment currency', async () => {
+    const appointment = createAppointment({ amount: 20, currency: 'USD' });
+
+    const order = await paymentService.createOrder(appointment);
+
+    expect(order).toMatchObject({ amount: 2000, currency: 'USD' });
+  });
+
+  it('reports gateway errors as 502', async () => {
+    gateway.createOrder.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(paymentService.createOrder(createAppointment())).rejects.toMatchObject({ statusCode: 502 });
+  });
+});
+
+describe('verifyPayment', () => {
+  const checkout = async (appointment) => {
+    const order = await paymentService.createOrder(appointment);
+    appointment.orderId = order.id;
+    const payment = gateway.pay(order.id);
+    return { orderId: order.id, paymentId: payment.id, signature: sign(order.id, payment.id) };
+  };
+
+  it('accepts a correctly signed payment of the full amount', async () => {
+    const appointment = createAppointment();
+    const response = await checkout(appointment);
+
+    const payment = await paymentService.verifyPayment(appointment, response);
+
+    expect(payment.id).toBe(response.paymentId);
+  });
+
+  it('rejects an invalid signature', async () => {
+    const appointment = createAppointment();
+    const response = await checkout(appointment);
+
+    await expect(paymentService.verifyPayment(appointment, { ...response, signature: 'f'.repeat(64) }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid payment signature' });
+  });
+
+  it('rejects an order of another appointment', async () => {
+    const appointment = createAppointment();
+    const response = await checkout(appointment);
+
+    await expect(paymentService.verifyPayment(createAppointment({ orderId: 'order_other' }), response))
+      .rejects.toMatchObject({ message: 'Order does not belong to this appointment' });
+  });
+
+  it('rejects an order whose amount does not match the appointment', async () => {
+    const appointment = createAppointment();
+    const response = await checkout(appointment);
+    appointment.amount = 1000;
+
+    await expect(paymentService.verifyPayment(appointment, response))
+      .rejects.toMatchObject({ message: 'Order amount does not match the appointment' });
+  });
+
+  it('rejects a payment that was not authorized or captured', async () => {
+    const appointment = createAppointment();
+    const order = await paymentService.createOrder(appointment);
+    appointment.orderId = order.id;
+    const payment = gateway.pay(order.id, 'failed');
+
+    await expect(paymentService.verifyPayment(appointment, {
+      orderId: order.id,
+      paymentId: payment.id,
+      signature: sign(order.id, payment.id)
+    })).rejects.toMatchObject({ message: 'Payment is failed' });
+  });
+});
+
+describe('recordCapturedPayment', () => {
+  it('confirms the appointment and records the capture once', async () => {
+    const appointment = createAppointment();
+    const order = await paymentService.createOrder(appointment);
+    appointment.orderId = order.id;
+    const payment = gateway.pay(order.id);
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(appointment);
+
+    await expect(paymentService.recordCapturedPayment(payment, order)).resolves.toBe('Payment recorded');
+    await expect(paymentService.recordCapturedPayment(payment, order)).resolves.toBe('Already paid');
+
+    expect(appointment).toMatchObject({ paymentStatus: 'completed', status: 'confirmed', paymentId: payment.id });
+    expect(ledger.has(`capture:${payment.id}`)).toBe(true);
+    expect(Payment.create).toHaveBeenCalledTimes(2);
+    expect(paymentService.afterCapture).toHaveBeenCalledTimes(1);
+  });
+
+  it('flags a capture whose amount does not match instead of failing the webhook', async () => {
+    const appointment = createAppointment();
+    const order = await paymentService.createOrder(appointment);
+    appointment.orderId = order.id;
+    const payment = { ...gateway.pay(order.id), amount: 100 };
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(appointment);
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(paymentService.recordCapturedPayment(payment, order))
+      .resolves.toBe('Payment amount does not match the appointment; flagged for review');
+
+    expect(Payment.updateOne).toHaveBeenCalledWith({ reference: `capture:${payment.id}` }, { flag: 'amount-mismatch' });
+    expect(appointment.paymentStatus).toBe('pending');
+    expect(paymentService.afterCapture).not.toHaveBeenCalled();
+  });
+
+  describe('for a booking cancelled by a reported failure', () => {
+    const cancelledAppointment = async () => {
+      const appointment = createAppointment();
+      const order = await paymentService.createOrder(appointment);
+      appointment.set({ orderId: order.id, status: 'cancelled', paymentStatus: 'failed' });
+      jest.spyOn(Appointment, 'findOne').mockResolvedValue(appointment);
+      return { appointment, payment: gateway.pay(order.id), order };
+    };
+
+    it('takes the slot back and confirms the booking', async () => {
+      const { appointment, payment, order } = await cancelledAppointment();
+      jest.spyOn(schedulingService, 'reserveSlots').mockResolvedValue();
+
+      await expect(paymentService.recordCapturedPayment(payment, order)).resolves.toBe('Payment recorded');
+
+      expect(appointment).toMatchObject({ status: 'confirmed', paymentStatus: 'completed' });
+      expect(paymentService.afterCapture).toHaveBeenCalledWith(appointment);
+    });
+
+    it('flags and refunds the payment when the slot was taken', async () => {
+      const { appointment, payment, order } = await cancelledAppointment();
+      const conflict = Object.assign(new Error('This time slot is no longer available'), { statusCode: 409 });
+      jest.spyOn(schedulingService, 'reserveSlots').mockRejectedValue(conflict);
+      jest.spyOn(Payment, 'updateOne').mockResolvedValue({ acknowledged: true });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(paymentService.recordCapturedPayment(payment, order))
+        .resolves.toBe('Paid, but the slot was taken after the booking was cancelled');
+
+      expect(appointment.status).toBe('cancelled');
+      expect(Payment.updateOne).toHaveBeenCalledWith({ reference: `capture:${payment.id}` }, { flag: 'slot-taken' });
+      expect(gateway.createRefund).toHaveBeenCalledWith(payment.id, expect.objectContaining({ amount: 50000 }));
+      expect(paymentService.afterCapture).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('refundPayment', () => {
+  const paidAppointment = async () => {
+    const appointment = createAppointment();
+    const order = await paymentService.createOrder(appointment);
+    const payment = gateway.pay(order.id);
+    appointment.set({ orderId: order.id, paymentId: payment.id, paymentStatus: 'completed', status: 'confirmed' });
+    return appointment;
+  };
+
+  it('counts an instant refund straight away', async () => {
+    const appointment = await paidAppointment();
+
+    const result = await paymentService.refundPayment(appointment, 500, { reason: 'Cancelled', source: 'cancellation' });
+
+    expect(result).toMatchObject({ amount: 500, gatewayAmount: 500, status: 'processed' });
+    expect(appointment).toMatchObject({
+      refundAmount: 500,
+      refundedAmount: 500,
+      refundStatus: 'processed',
+      paymentStatus: 'refunded'
+    });
+    expect(ledger.has('refund:rfnd_1:processed')).toBe(true);
+  });
+
+  it('does not count an instant refund again when its webhook arrives', async () => {
+    const appointment = await paidAppointment();
+    await paymentService.refundPayment(appointment, 200, { source: 'cancellation' });
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(appointment);
+
+    const refund = { id: 'rfnd_1', payment_id: appointment.paymentId, amount: 20000, currency: 'INR', status: 'processed' };
+    await expect(paymentService.recordProcessedRefund(refund)).resolves.toBe('Refund already recorded');
+
+    expect(appointment).toMatchObject({ refundedAmount: 200, paymentStatus: 'partially-refunded' });
+  });
+
+  it('keeps a pending refund pending until the webhook confirms it', async () => {
+    gateway.instantRefunds = false;
+    const appointment = await paidAppointment();
+
+    await paymentService.refundPayment(appointment, 500, { source: 'cancellation' });
+
+    expect(appointment).toMatchObject({ refundAmount: 500, refundedAmount: 0, refundStatus: 'pending', paymentStatus: 'completed' });
+    expect(ledger.has('refund:rfnd_1:pending')).toBe(true);
+
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(appointment);
+    const refund = { id: 'rfnd_1', payment_id: appointment.paymentId, amount: 50000, currency: 'INR', status: 'processed' };
+    await expect(paymentService.recordProcessedRefund(refund)).resolves.toBe('Refund recorded');
+
+    expect(appointment).toMatchObject({ refundedAmount: 500, refundStatus: 'processed', paymentStatus: 'refunded' });
+  });
+
+  it('refuses to refund more than was paid', async () => {
+    const appointment = await paidAppointment();
+
+    await expect(paymentService.refundPayment(appointment, 600, { source: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(gateway.createRefund).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+const http = require('http');
+const mongoose = require('mongoose');
+
+jest.mock('../utils/sendEmail');
+
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const paymentService = require('../services/paymentService');
+
+// A local stand-in for the Razorpay API that records each request and
+// answers with the next queued response
+let server;
+let requests;
+let responses;
+
+const respond = (status, body) => responses.push({ status, body });
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : undefined });
+      const { status, body } = responses.shift() || { status: 500, body: {} };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  responses = [];
+
+  process.env.RAZORPAY_API_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.RAZORPAY_KEY_ID = 'rzp_test_key';
+  process.env.RAZORPAY_KEY_SECRET = 'test_key_secret';
+  paymentService.setGateway(new paymentService.RazorpayGateway());
+
+  jest.spyOn(Payment, 'create').mockImplementation(async (entry) => ({ ...entry, _id: new mongoose.Types.ObjectId() }));
+  jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ acknowledged: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.RAZORPAY_API_URL;
+});
+
+const createAppointment = (fields = {}) => {
+  const appointment = new Appointment({
+    user: new mongoose.Types.ObjectId(),
+    appointmentDate: new Date('2030-01-15'),
+    appointmentTime: '10:00',
+    consultationType: 'general',
+    package: 'basic',
+    amount: 500,
+    currency: 'INR',
+    duration: 30,
+    ...fields
+  });
+  jest.spyOn(appointment, 'save').mockResolvedValue(appointment);
+  return appointment;
+};
+
+const basicAuth = `Basic ${Buffer.from('rzp_test_key:test_key_secret').toString('base64')}`;
+
+describe('createOrder', () => {
+  it('posts the amount in paise with the API key', async () => {
+    const appointment = createAppointment({ amount: 750.5, walletAmount: 250 });
+    respond(200, { id: 'order_1', amount: 50050, currency: 'INR', status: 'created' });
+
+    const order = await paymentService.createOrder(appointment);
+
+    expect(order.id).toBe('order_1');
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/v1/orders');
+    expect(request.headers.authorization).toBe(basicAuth);
+    expect(request.headers['content-type']).toMatch(/^application\/json/);
+    expect(request.body).toEqual({
+      amount: 50050,
+      currency: 'INR',
+      receipt: `appointment_${appointment._id}`,
+      notes: {
+        appointmentId: appointment._id.toString(),
+        userId: appointment.user.toString()
+      }
+    });
+  });
+
+  it('reports an API error as 502', async () => {
+    respond(400, { error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be at least INR 1.00' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(paymentService.createOrder(createAppointment()))
+      .rejects.toMatchObject({ statusCode: 502, message: 'Failed to create payment order' });
+    expect(console.error).toHaveBeenCalledWith(
+      '❌ Failed to create payment order:',
+      { error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be at least INR 1.00' } }
+    );
+  });
+});
+
+describe('refundPayment', () => {
+  const paidAppointment = () => createAppointment({
+    orderId: 'order_1',
+    paymentId: 'pay_1',
+    paymentStatus: 'completed',
+    status: 'confirmed'
+  });
+
+  it('posts the refund in paise to the payment', async () => {
+    const appointment = paidAppointment();
+    respond(200, { id: 'rfnd_1', payment_id: 'pay_1', amount: 25050, currency: 'INR', status: 'pending' });
+
+    const result = await paymentService.refundPayment(appointment, 250.5, { reason: 'Cancelled', source: 'cancellation' });
+
+    expect(result).toMatchObject({ gatewayAmount: 250.5, status: 'pending' });
+    const [request] = requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/v1/payments/pay_1/refund');
+    expect(request.headers.authorization).toBe(basicAuth);
+    expect(request.body).toEqual({
+      amount: 25050,
+      notes: { appointmentId: appointment._id.toString(), reason: 'Cancelled' }
+    });
+  });
+
+  it('marks the refund failed and reports 502 when the API refuses it', async () => {
+    const appointment = paidAppointment();
+    respond(400, { error: { code: 'BAD_REQUEST_ERROR', description: 'The payment has been fully refunded already' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(paymentService.refundPayment(appointment, 500, { source: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 502, message: 'Failed to issue refund' });
+    expect(appointment.refundStatus).toBe('failed');
+  });
+});
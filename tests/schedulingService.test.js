@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const SlotHold = require('../models/SlotHold');
+const schedulingService = require('../services/schedulingService');
+
+const createAppointment = (appointmentDate, appointmentTime = '10:00') => ({
+  _id: new mongoose.Types.ObjectId(),
+  appointmentDate: new Date(appointmentDate),
+  appointmentTime,
+  duration: 30
+});
+
+const sameId = (a, b) => String(a) === String(b);
+const ownedBy = (hold, appointment) => appointment.$in.some(id => sameId(id, hold.appointment));
+
+let holds;
+
+// Who holds each slot, keyed by slot like the unique slotKey index
+const owners = () => Object.fromEntries([...holds.values()].map(hold => [hold.slotKey, String(hold.appointment)]));
+
+beforeEach(() => {
+  holds = new Map();
+
+  jest.spyOn(SlotHold, 'find').mockImplementation(({ appointment }) => ({
+    select: async () => [...holds.values()].filter(hold => ownedBy(hold, appointment)).map(hold => ({ ...hold }))
+  }));
+  jest.spyOn(SlotHold, 'updateOne').mockImplementation(async ({ slotKey, appointment }, update) => {
+    const hold = holds.get(slotKey);
+    if (!hold || !ownedBy(hold, appointment)) return { matchedCount: 0 };
+    hold.appointment = update.appointment;
+    return { matchedCount: 1 };
+  });
+  jest.spyOn(SlotHold, 'create').mockImplementation(async (hold) => {
+    if (holds.has(hold.slotKey)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    holds.set(hold.slotKey, { ...hold });
+    return hold;
+  });
+  jest.spyOn(SlotHold, 'deleteMany').mockImplementation(async ({ slotKey, appointment, expiresAt }) => {
+    for (const hold of [...holds.values()]) {
+      if (typeof slotKey === 'string' && hold.slotKey !== slotKey) continue;
+      if (slotKey?.$nin && slotKey.$nin.includes(hold.slotKey)) continue;
+      if (appointment && !ownedBy(hold, appointment)) continue;
+      if (expiresAt && !(hold.expiresAt && hold.expiresAt <= expiresAt.$lte)) continue;
+      holds.delete(hold.slotKey);
+    }
+  });
+  jest.spyOn(schedulingService, 'buildConflictError').mockImplementation(async () =>
+    Object.assign(new Error('This time slot is no longer available'), { statusCode: 409, alternatives: [] }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const hold = (slotKey, appointment) => holds.set(slotKey, { slotKey, appointment: appointment._id });
+
+describe('moveSlots', () => {
+  it('moves a series onto slots its own occurrences held', async () => {
+    const first = createAppointment('2030-01-15');
+    const second = createAppointment('2030-01-22');
+    hold('2030-01-15T10:00', first);
+    hold('2030-01-22T10:00', second);
+
+    // Shifted by a week: the first session takes over the second one's slot
+    first.appointmentDate = new Date('2030-01-22');
+    second.appointmentDate = new Date('2030-01-29');
+    await schedulingService.moveSlots([first, second]);
+
+    expect(owners()).toEqual({
+      '2030-01-22T10:00': String(first._id),
+      '2030-01-29T10:00': String(second._id)
+    });
+  });
+
+  it('keeps every old slot held when a new one is taken', async () => {
+    const first = createAppointment('2030-01-15');
+    const second = createAppointment('2030-01-22');
+    const other = createAppointment('2030-01-29');
+    hold('2030-01-15T10:00', first);
+    hold('2030-01-22T10:00', second);
+    hold('2030-01-29T10:00', other);
+
+    first.appointmentDate = new Date('2030-01-22');
+    second.appointmentDate = new Date('2030-01-29');
+
+    await expect(schedulingService.moveSlots([first, second]))
+      .rejects.toMatchObject({ statusCode: 409, index: 1 });
+
+    expect(owners()).toEqual({
+      '2030-01-15T10:00': String(first._id),
+      '2030-01-22T10:00': String(second._id),
+      '2030-01-29T10:00': String(other._id)
+    });
+  });
+
+  it('takes over a waitlist offer that has run out', async () => {
+    const appointment = createAppointment('2030-01-15');
+    hold('2030-01-15T10:00', appointment);
+    holds.set('2030-01-16T10:00', {
+      slotKey: '2030-01-16T10:00',
+      appointment: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() - 1000)
+    });
+
+    appointment.appointmentDate = new Date('2030-01-16');
+    await schedulingService.moveSlots([appointment]);
+
+    expect(owners()).toEqual({ '2030-01-16T10:00': String(appointment._id) });
+  });
+});
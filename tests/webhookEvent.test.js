@@ -0,0 +1,46 @@
+const WebhookEvent = require('../models/WebhookEvent');
+
+const duplicate = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const stored = (status) => ({ select: async () => (status ? { status } : null) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('claim', () => {
+  it('claims a new event', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockResolvedValue({});
+
+    await expect(WebhookEvent.claim('razorpay', 'evt_1', 'payment.captured', {})).resolves.toBe('claimed');
+  });
+
+  it('takes back an event that failed or stalled in processing', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicate());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue({ status: 'processing' });
+
+    await expect(WebhookEvent.claim('razorpay', 'evt_1', 'payment.captured', {})).resolves.toBe('claimed');
+
+    const [filter, update] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+    const stalled = filter.$or.find(condition => condition.lockedAt?.$lte);
+    expect(stalled.status).toBe('processing');
+    expect(stalled.lockedAt.$lte.getTime()).toBeLessThanOrEqual(Date.now() - 5 * 60 * 1000);
+    expect(update.lockedAt).toBeInstanceOf(Date);
+  });
+
+  it('reports an applied event as processed', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicate());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(WebhookEvent, 'findOne').mockReturnValue(stored('processed'));
+
+    await expect(WebhookEvent.claim('razorpay', 'evt_1', 'payment.captured', {})).resolves.toBe('processed');
+  });
+
+  it('reports an event another delivery is still applying as busy', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicate());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(WebhookEvent, 'findOne').mockReturnValue(stored('processing'));
+
+    await expect(WebhookEvent.claim('razorpay', 'evt_1', 'payment.captured', {})).resolves.toBe('busy');
+  });
+});
@@ -0,0 +1,70 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigits = (n) => {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+};
+
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', twoDigits(n % 100)].filter(Boolean).join(' ');
+};
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+const integerToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  return [
+    crore ? `${integerToWords(crore)} Crore` : '',
+    lakh ? `${twoDigits(lakh)} Lakh` : '',
+    thousand ? `${twoDigits(thousand)} Thousand` : '',
+    threeDigits(rest)
+  ].filter(Boolean).join(' ');
+};
+
+// Whole number in words using the international system (thousand, million, billion)
+const internationalIntegerToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const billion = Math.floor(n / 1000000000);
+  const million = Math.floor((n % 1000000000) / 1000000);
+  const thousand = Math.floor((n % 1000000) / 1000);
+  const rest = n % 1000;
+
+  return [
+    billion ? `${internationalIntegerToWords(billion)} Billion` : '',
+    million ? `${threeDigits(million)} Million` : '',
+    thousand ? `${threeDigits(thousand)} Thousand` : '',
+    threeDigits(rest)
+  ].filter(Boolean).join(' ');
+};
+
+const UNIT_NAMES = {
+  INR: ['Rupees', 'Paise'],
+  USD: ['US Dollars', 'Cents'],
+  EUR: ['Euros', 'Cents'],
+  GBP: ['Pounds Sterling', 'Pence']
+};
+
+// e.g. 1180.5 -> "Rupees One Thousand One Hundred Eighty and Fifty Paise Only",
+// (1180.5, 'USD') -> "US Dollars One Thousand One Hundred Eighty and Fifty Cents Only"
+const amountInWords = (amount, currency = 'INR') => {
+  const [major, minor] = UNIT_NAMES[currency] || [currency, 'Cents'];
+  const toWords = currency === 'INR' ? integerToWords : internationalIntegerToWords;
+  const minorTotal = Math.round(amount * 100);
+  const whole = Math.floor(minorTotal / 100);
+  const fraction = minorTotal % 100;
+
+  return `${major} ${toWords(whole)}${fraction ? ` and ${twoDigits(fraction)} ${minor}` : ''} Only`;
+};
+
+module.exports = { amountInWords, integerToWords, internationalIntegerToWords };
@@ -0,0 +1,53 @@
+const SUPPORTED_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+const DEFAULT_CURRENCY = 'INR';
+
+// Clients outside these get USD
+const COUNTRY_CURRENCIES = {
+  india: 'INR',
+  'united states': 'USD',
+  'united states of america': 'USD',
+  usa: 'USD',
+  us: 'USD',
+  'united kingdom': 'GBP',
+  uk: 'GBP',
+  'great britain': 'GBP',
+  england: 'GBP',
+  scotland: 'GBP',
+  wales: 'GBP',
+  'northern ireland': 'GBP'
+};
+
+const EUROZONE = [
+  'austria', 'belgium', 'croatia', 'cyprus', 'estonia', 'finland', 'france', 'germany',
+  'greece', 'ireland', 'italy', 'latvia', 'lithuania', 'luxembourg', 'malta',
+  'netherlands', 'portugal', 'slovakia', 'slovenia', 'spain'
+];
+
+const getCurrencyForCountry = (country) => {
+  const key = String(country || '').trim().toLowerCase();
+  if (!key) return DEFAULT_CURRENCY;
+  if (EUROZONE.includes(key)) return 'EUR';
+  return COUNTRY_CURRENCIES[key] || 'USD';
+};
+
+// Currency a client is charged in, from the country in their profile
+const getUserCurrency = (user) => {
+  if (!user) return DEFAULT_CURRENCY;
+  return getCurrencyForCountry(user.billingAddress?.country || user.placeOfBirth?.country);
+};
+
+// e.g. formatMoney(1180, 'INR') -> "₹1,180.00", formatMoney(12.5, 'USD') -> "$12.50"
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency
+  }).format(amount || 0);
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  getCurrencyForCountry,
+  getUserCurrency,
+  formatMoney
+};
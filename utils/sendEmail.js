@@ -1,8 +1,9 @@
 const nodemailer = require('nodemailer');
+const { formatMoney } = require('./currency');
 
 const sendEmail = async (options) => {
   // Create transporter
-  const transporter = nodemailer.createTransporter({
+  const transporter = nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, // true for 465, false for other ports
@@ -18,7 +19,8 @@ const sendEmail = async (options) => {
     to: options.email,
     subject: options.subject,
     text: options.message,
-    html: options.html || options.message.replace(/\n/g, '<br>')
+    html: options.html || options.message.replace(/\n/g, '<br>'),
+    attachments: options.attachments
   };
 
   // Send email
@@ -146,27 +148,101 @@ const emailTemplates = {
     `
   }),
 
-  // Payment confirmation
-  paymentConfirmation: (appointment, client) => ({
-    subject: `Payment Received - ₹${appointment.payment.amount}`,
+  // Appointment rescheduled
+  appointmentRescheduled: (appointment, client, previous) => ({
+    subject: `Appointment Rescheduled - ${appointment.schedule.client.label}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4A90E2;">Appointment Rescheduled 📅</h2>
+        
+        <p>Dear ${client.firstName},</p>
+        
+        <p>Your astrology consultation has been moved. Your payment carries over to the new time.</p>
+        
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0; color: #333;">Updated Details</h3>
+          <p><strong>Previous time:</strong> <s>${previous.client.label}</s></p>
+          <p><strong>New time:</strong> ${appointment.schedule.client.label} (${appointment.schedule.client.timezone})</p>
+          <p><strong>Duration:</strong> ${appointment.duration} minutes</p>
+        </div>
+        
+        <p>Best regards,<br>
+        ${process.env.ASTROLOGER_NAME}</p>
+      </div>
+    `
+  }),
+
+  // Several sessions of a series moved at once
+  seriesRescheduled: (appointments, client) => ({
+    subject: `Consultation Series Rescheduled - from ${appointments[0].schedule.client.label}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4A90E2;">Consultation Series Rescheduled 📅</h2>
+        
+        <p>Dear ${client.firstName},</p>
+        
+        <p>${appointments.length} upcoming sessions of your series have been moved. Your payment carries over to the new times.</p>
+        
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0; color: #333;">New Times (${appointments[0].schedule.client.timezone})</h3>
+          <ul>
+            ${appointments.map(appointment => `<li>${appointment.schedule.client.label}</li>`).join('')}
+          </ul>
+        </div>
+        
+        <p>Best regards,<br>
+        ${process.env.ASTROLOGER_NAME}</p>
+      </div>
+    `
+  }),
+
+  // Payment confirmation, sent with the tax invoice attached
+  paymentConfirmation: (appointment, client, invoice) => ({
+    subject: `Payment Received - Invoice ${invoice.invoiceNumber}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #28a745;">Payment Confirmed! 💳</h2>
         
         <p>Dear ${client.firstName},</p>
         
-        <p>We have received your payment successfully.</p>
+        <p>We have received your payment successfully. Your tax invoice is attached.</p>
         
         <div style="background: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
           <h3 style="margin-top: 0; color: #155724;">Payment Details</h3>
-          <p><strong>Amount:</strong> ₹${appointment.payment.amount}</p>
-          <p><strong>Transaction ID:</strong> ${appointment.payment.transactionId}</p>
-          <p><strong>Payment Method:</strong> ${appointment.payment.method}</p>
-          <p><strong>Date:</strong> ${new Date(appointment.payment.paidAt).toLocaleDateString('en-IN')}</p>
+          <p><strong>Amount:</strong> ${formatMoney(appointment.amount, appointment.currency)}</p>
+          <p><strong>Transaction ID:</strong> ${appointment.paymentId}</p>
+          <p><strong>Invoice No:</strong> ${invoice.invoiceNumber}</p>
+          <p><strong>Date:</strong> ${new Date(appointment.paidAt).toLocaleDateString('en-IN')}</p>
         </div>
         
-        <p>Your appointment is now confirmed and scheduled for <strong>${appointment.formattedDate} at ${appointment.formattedTime}</strong>.</p>
+        <p>Your appointment is now confirmed and scheduled for <strong>${appointment.schedule.client.label}</strong> (${appointment.schedule.client.timezone}).</p>
         
+        <p>Best regards,<br>
+        ${process.env.ASTROLOGER_NAME}</p>
+      </div>
+    `
+  }),
+
+  // Invoice for a purchase other than a booking, e.g. a gift voucher
+  purchaseInvoice: (invoice, client) => ({
+    subject: `Payment Received - Invoice ${invoice.invoiceNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #28a745;">Payment Confirmed! 💳</h2>
+
+        <p>Dear ${client.firstName},</p>
+
+        <p>We have received your payment successfully. Your tax invoice is attached.</p>
+
+        <div style="background: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
+          <h3 style="margin-top: 0; color: #155724;">Payment Details</h3>
+          <p><strong>For:</strong> ${invoice.items[0]?.description || ''}</p>
+          <p><strong>Amount:</strong> ${formatMoney(invoice.total, invoice.currency)}</p>
+          <p><strong>Transaction ID:</strong> ${invoice.paymentId}</p>
+          <p><strong>Invoice No:</strong> ${invoice.invoiceNumber}</p>
+          <p><strong>Date:</strong> ${new Date(invoice.issuedAt).toLocaleDateString('en-IN')}</p>
+        </div>
+
         <p>Best regards,<br>
         ${process.env.ASTROLOGER_NAME}</p>
       </div>
@@ -0,0 +1,43 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Time zone the astrologer works in; slot times and appointment dates are in this zone
+const getAstrologerTimezone = () => process.env.TIMEZONE || 'Asia/Kolkata';
+
+const isValidTimeZone = (tz) => {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in a zone -> UTC Date
+const zonedTimeToUtc = (date, time, tz = getAstrologerTimezone()) => {
+  const [hours, minutes] = time.split(':');
+  return dayjs.tz(`${date} ${hours.padStart(2, '0')}:${minutes}`, tz).toDate();
+};
+
+// UTC instant -> how it reads on the wall clock in a zone
+const formatInZone = (instant, tz = getAstrologerTimezone()) => {
+  const local = dayjs(instant).tz(tz);
+  return {
+    timezone: tz,
+    date: local.format('YYYY-MM-DD'),
+    time: local.format('HH:mm'),
+    label: local.format('ddd, D MMM YYYY h:mm A')
+  };
+};
+
+module.exports = {
+  getAstrologerTimezone,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInZone
+};